@@ -10,6 +10,13 @@ module.exports = {
     sourceType: 'module',
     requireConfigFile: false,
   },
+  overrides: [{
+    // Build tooling bundles devDependencies
+    files: ['tools/**/*.js'],
+    rules: {
+      'import/no-extraneous-dependencies': ['error', { devDependencies: true }],
+    },
+  }],
   rules: {
     'import/extensions': ['error', { js: 'always' }], // require js file extensions in imports
     'linebreak-style': ['error', 'unix'], // enforce unix linebreaks
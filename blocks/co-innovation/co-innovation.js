@@ -1,10 +1,57 @@
-import { loadScript } from '../../scripts/aem.js';
+import { loadScript, readBlockConfig } from '../../scripts/aem.js';
+import {
+  buildGraph, computeLayout, routeEdges, getContentWidth,
+} from './layout.js';
+import createTimeline from './timeline.js';
+import { validateData, createDiagnostics } from './validate.js';
+import { fetchWorkbook, pickSheet } from './sheets.js';
+import { escapeHTML, formatInline } from './html.js';
+import createWorkbook from './xlsx.js';
+import { computeKpis, createKpiStrip } from './kpis.js';
+import { readSheetCSV, toSheetJSON } from './sheet-import.js';
+import { saveWorkbook, loadWorkbook } from './offline.js';
+import {
+  parseSnapshot, getSnapshotDate, diffSnapshots, getStageMovements,
+} from './snapshot.js';
 
 /**
- * Data storage - populated from JSON
+ * Subresource integrity of vendor/d3.min.js, rewritten by `npm run build:d3`
  */
-let coInnovationProcess = [];
-let projects = [];
+const D3_INTEGRITY = 'sha384-2mUeIyLai1Vl/DsESZSVUH3ZEB1ukBxRO5bDp9ktRTlgbCFGpFBu98r3yjZQoGrG';
+
+/**
+ * Data sources and headings used when the block has no config rows
+ */
+const DEFAULT_CONFIG = {
+  processData: '/data/co-innovation-process.json',
+  projectsData: '/data/projects.json',
+  historyData: '',
+  title: 'AEM Co-Innovation Process',
+  subtitle: 'From Idea to Impact',
+  chartTitle: 'Co-Innovation Journey',
+  chartSubtitle: '',
+};
+
+/**
+ * Shortest refresh interval, so open dashboards cannot flood the sheets
+ */
+const MIN_REFRESH_SECONDS = 15;
+
+/**
+ * How long projects that changed in a refresh stay highlighted
+ */
+const CHANGE_HIGHLIGHT_MS = 8000;
+
+/**
+ * Default project filter - the header toolbar changes the block's copy
+ */
+const DEFAULT_FILTERS = {
+  query: '',
+  status: '',
+  stage: '',
+  minProgress: 0,
+  maxProgress: 100,
+};
 
 /**
  * Parse pipe-delimited string into array
@@ -16,91 +63,579 @@ function parseArray(value) {
   return value.split('|').map((item) => item.trim());
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DURATION_UNIT_DAYS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  quarter: 91,
+};
+
 /**
- * Fetch and parse the co-innovation process data
- * @returns {Promise<Array>} Process steps
+ * Parse a sheet date - an ISO date or a spreadsheet serial day number
+ * @param {string|number} value - Date value
+ * @returns {Date|null} Local date at midnight, null if unparseable
  */
-async function fetchProcessData() {
-  try {
-    const response = await fetch('/data/co-innovation-process.json');
-    const json = await response.json();
-
-    return json.data.map((item) => ({
-      id: item.id,
-      title: item.title,
-      type: item.type,
-      description: item.description,
-      details: item.details,
-      inputs: parseArray(item.inputs),
-      outputs: parseArray(item.outputs),
-      duration: item.duration || '',
-      owner: item.owner || '',
-      criteria: parseArray(item.criteria),
-      outcomes: parseArray(item.outcomes),
-      nextSteps: parseArray(item.nextSteps),
-    }));
-  } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Failed to load co-innovation process data:', error);
-    return [];
+function parseDate(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (str === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    // Spreadsheet serial: days since 1899-12-30
+    const utc = new Date(Math.round((parseFloat(str) - 25569) * DAY_MS));
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
   }
+
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  const date = new Date(str);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - The date
+ * @returns {string} ISO date string
+ */
+function formatISODate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse stage history ("stage:date|stage:date") into entries ordered by date
+ * @param {string} value - Pipe-delimited stage history
+ * @returns {Array} Entries with stage ID and entry date
+ */
+function parseHistory(value) {
+  return parseArray(value)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator < 0) return null;
+      const entered = parseDate(entry.slice(separator + 1));
+      return entered ? { stage: entry.slice(0, separator).trim(), entered } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.entered - b.entered);
+}
+
+/**
+ * Serialize stage history back to its sheet form
+ * @param {Array} history - Stage history entries
+ * @returns {string} Pipe-delimited stage history
+ */
+function formatHistory(history) {
+  return history.map((entry) => `${entry.stage}:${formatISODate(entry.entered)}`).join('|');
+}
+
+/**
+ * Parse a step duration such as "2-4 weeks", "1 week" or "3 days"
+ * @param {string} value - Duration text
+ * @returns {Object|null} Min and max days, null for open-ended durations like "Ongoing"
+ */
+function parseDuration(value) {
+  const match = String(value || '').toLowerCase()
+    .match(/(\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(day|week|month|quarter)s?\b/);
+  if (!match) return null;
+  const unit = DURATION_UNIT_DAYS[match[3]];
+  const min = parseFloat(match[1]);
+  const max = match[2] ? parseFloat(match[2]) : min;
+  return {
+    minDays: Math.round(min * unit),
+    maxDays: Math.round(max * unit),
+  };
+}
+
+/**
+ * Format a number of days for display
+ * @param {number} days - Number of days
+ * @returns {string} Formatted duration
+ */
+function formatDays(days) {
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the href of a step or project link
+ * @param {string} key - Query parameter, step or project
+ * @param {string} id - Step or project ID
+ * @returns {string} Query string, escaped for use in an attribute
+ */
+function getLinkHref(key, id) {
+  return escapeHTML(`?${key}=${encodeURIComponent(id)}`);
+}
+
+/**
+ * Map process sheet rows to steps
+ * @param {Array} rows - Raw process rows
+ * @returns {Array} Process steps
+ */
+function mapProcessRows(rows) {
+  return rows.map((item) => ({
+    // IDs are trimmed as the validator reads them, so edges still connect
+    id: String(item.id || '').trim(),
+    title: item.title,
+    type: item.type,
+    description: item.description,
+    details: item.details,
+    inputs: parseArray(item.inputs),
+    outputs: parseArray(item.outputs),
+    duration: item.duration || '',
+    owner: item.owner || '',
+    criteria: parseArray(item.criteria),
+    outcomes: parseArray(item.outcomes),
+    nextSteps: parseArray(item.nextSteps),
+  }));
+}
+
+/**
+ * Group history sheet rows (one stage entry per row) by project
+ * @param {Array} rows - Raw history rows with project, stage and date
+ * @returns {Map} Project ID to stage history entries
+ */
+function mapHistoryRows(rows) {
+  const byProject = new Map();
+  rows.forEach((item) => {
+    const projectId = String(item.project || '').trim();
+    const stage = String(item.stage || '').trim();
+    const entered = parseDate(item.date);
+    if (!projectId || !stage || !entered) return;
+    if (!byProject.has(projectId)) byProject.set(projectId, []);
+    byProject.get(projectId).push({ stage, entered });
+  });
+  return byProject;
+}
+
+/**
+ * Merge stage history from the projects sheet and the history sheet
+ * @param {Array} entries - Entries from both sources
+ * @returns {Array} Entries without duplicates, ordered by date
+ */
+function mergeHistory(entries) {
+  const seen = new Set();
+  return entries
+    .filter((entry) => {
+      const key = `${entry.stage}:${formatISODate(entry.entered)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.entered - b.entered);
+}
+
+/**
+ * Map projects sheet rows to projects
+ * @param {Array} rows - Raw project rows
+ * @param {Array} [historyRows] - Raw history sheet rows
+ * @returns {Array} Projects
+ */
+function mapProjectRows(rows, historyRows = []) {
+  const sheetHistory = mapHistoryRows(historyRows);
+  return rows.map((item) => ({
+    id: String(item.id || '').trim(),
+    name: item.name,
+    currentStage: String(item.currentStage || '').trim(),
+    status: item.status,
+    nextSteps: item.nextSteps,
+    blockingReason: item.blockingReason || null,
+    progress: parseInt(item.progress, 10) || 0,
+    history: mergeHistory([
+      ...parseHistory(item.stageHistory),
+      ...(sheetHistory.get(String(item.id || '').trim()) || []),
+    ]),
+  }));
+}
+
+/**
+ * Compare the projects before and after a data refresh
+ * @param {Array} previous - Projects before the refresh
+ * @param {Array} current - Projects after the refresh
+ * @returns {Object} ids of projects that changed at all (including added
+ *   and removed ones), stages they left or entered, and the moved ids of
+ *   projects whose stage or status changed
+ */
+function getProjectChanges(previous, current) {
+  const before = new Map(previous.map((project) => [project.id, JSON.stringify(project)]));
+  const currentIds = new Set(current.map((project) => project.id));
+  const changed = [
+    ...current.filter((project) => before.get(project.id) !== JSON.stringify(project)),
+    ...previous.filter((project) => !currentIds.has(project.id)),
+  ];
+  const changedIds = new Set(changed.map((project) => project.id));
+
+  const diff = diffSnapshots(previous, current);
+  return {
+    ids: changedIds,
+    stages: new Set([
+      ...changed.map((project) => project.currentStage),
+      ...previous.filter((project) => changedIds.has(project.id))
+        .map((project) => project.currentStage),
+    ]),
+    moved: new Set([...diff.moved, ...diff.statusChanged].map(({ project }) => project.id)),
+  };
 }
 
 /**
- * Fetch and parse the projects data
- * @returns {Promise<Array>} Projects
+ * Fetch a spreadsheet with all its sheets and pages, falling back to the
+ * offline copy of its last successful load
+ * @param {string} url - Spreadsheet JSON URL
+ * @param {Object} [options] - revalidate: conditional refresh that rejects
+ *   on failure, so the data already shown is kept
+ * @returns {Promise<Object>} sheets: rows keyed by sheet name, empty on
+ *   failure; savedAt: when an offline copy was saved, null for fresh data
  */
-async function fetchProjectsData() {
+async function fetchSheets(url, options = {}) {
   try {
-    const response = await fetch('/data/projects.json');
-    const json = await response.json();
-
-    return json.data.map((item) => ({
-      id: item.id,
-      name: item.name,
-      currentStage: item.currentStage,
-      status: item.status,
-      nextSteps: item.nextSteps,
-      blockingReason: item.blockingReason || null,
-      progress: parseInt(item.progress, 10) || 0,
-    }));
+    const sheets = await fetchWorkbook(url, options);
+    saveWorkbook(url, sheets);
+    return { sheets, savedAt: null };
   } catch (error) {
+    if (options.revalidate) throw error;
     // eslint-disable-next-line no-console
-    console.error('Failed to load projects data:', error);
-    return [];
+    console.error(`Failed to load co-innovation data from ${url}:`, error);
+    return (await loadWorkbook(url)) || { sheets: {}, savedAt: null };
   }
 }
 
+/**
+ * Load the process, projects and history sheets, which may live in
+ * separate spreadsheets or together in one workbook
+ * @param {Object} config - Block config with the data URLs
+ * @param {Object} [options] - Fetch options, see fetchSheets
+ * @returns {Promise<Object>} sheets: raw process, project and history rows;
+ *   savedAt: age of the oldest offline copy used, null if all are fresh
+ */
+async function fetchData(config, options = {}) {
+  const urls = [...new Set([config.processData, config.projectsData, config.historyData])]
+    .filter(Boolean);
+  const workbooks = await Promise.all(urls.map(async (url) => ({
+    url,
+    ...await fetchSheets(url, options),
+  })));
+  const saved = workbooks.map((workbook) => workbook.savedAt).filter(Boolean);
+  return {
+    sheets: {
+      processRows: pickSheet(workbooks, 'process', config.processData),
+      projectRows: pickSheet(workbooks, 'projects', config.projectsData),
+      historyRows: pickSheet(workbooks, 'history', config.historyData),
+    },
+    savedAt: saved.length > 0 ? new Date(Math.min(...saved)) : null,
+  };
+}
+
+/**
+ * Parse the refresh interval config, such as "60", "90s" or "5m"
+ * @param {string} value - Interval, in seconds unless suffixed with m
+ * @returns {number} Interval in milliseconds, 0 to not refresh
+ */
+function parseRefreshInterval(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(s|sec|m|min)?/);
+  if (!match) return 0;
+  const seconds = parseFloat(match[1]) * (match[2] && match[2].startsWith('m') ? 60 : 1);
+  if (seconds <= 0) return 0;
+  return Math.max(MIN_REFRESH_SECONDS, seconds) * 1000;
+}
+
+/**
+ * Read the block's config rows, falling back to the defaults
+ * @param {Element} block - The block element
+ * @returns {Object} Data URLs and headings
+ */
+function getBlockConfig(block) {
+  const config = readBlockConfig(block);
+  // Cells with several paragraphs or links come back as arrays: text is
+  // joined, a URL is the first link
+  const read = (key, join) => {
+    const value = config[key] || '';
+    if (!Array.isArray(value)) return String(value).trim();
+    return join
+      ? value.map((entry) => String(entry).trim()).filter(Boolean).join(' ')
+      : String(value.find((entry) => String(entry).trim()) || '').trim();
+  };
+  const pick = (...keys) => keys.map((key) => read(key, true)).find(Boolean);
+  const pickURL = (...keys) => keys.map((key) => read(key, false)).find(Boolean);
+  // A single workbook can hold the process, projects and history sheets
+  const workbook = pickURL('data', 'workbook');
+  return {
+    id: pick('id'),
+    processData: pickURL('process-data', 'process') || workbook || DEFAULT_CONFIG.processData,
+    projectsData: pickURL('projects-data', 'projects') || workbook || DEFAULT_CONFIG.projectsData,
+    historyData: pickURL('history-data', 'history') || workbook || DEFAULT_CONFIG.historyData,
+    title: pick('title') || DEFAULT_CONFIG.title,
+    subtitle: pick('subtitle') || DEFAULT_CONFIG.subtitle,
+    chartTitle: pick('chart-title') || DEFAULT_CONFIG.chartTitle,
+    chartSubtitle: pick('chart-subtitle') || DEFAULT_CONFIG.chartSubtitle,
+    refreshInterval: parseRefreshInterval(pick('refresh', 'refresh-interval')),
+  };
+}
+
+/**
+ * Check whether the page is viewed by authors (preview or local development)
+ * @returns {boolean} True outside the live site
+ */
+function isAuthorEnvironment() {
+  const { hostname } = window.location;
+  return hostname === 'localhost'
+    || hostname.endsWith('.aem.page')
+    || hostname.endsWith('.hlx.page');
+}
+
+/**
+ * Check a project against a filter
+ * @param {Object} model - Block model
+ * @param {Object} project - The project
+ * @param {Object} [criteria] - Filter to apply, defaults to the active one
+ * @returns {boolean} True if the project matches
+ */
+function matchesFilters(model, project, criteria = model.filters) {
+  const query = criteria.query.trim().toLowerCase();
+  if (query) {
+    const haystack = [project.name, project.nextSteps, project.blockingReason]
+      .filter(Boolean).join(' ').toLowerCase();
+    if (!haystack.includes(query)) return false;
+  }
+  if (criteria.status && project.status !== criteria.status) return false;
+  if (criteria.stage && project.currentStage !== criteria.stage) return false;
+  return project.progress >= criteria.minProgress && project.progress <= criteria.maxProgress;
+}
+
+/**
+ * Check whether any filter differs from its default
+ * @param {Object} model - Block model
+ * @returns {boolean} True if a filter is active
+ */
+function isFilterActive(model) {
+  return Object.keys(DEFAULT_FILTERS).some((key) => model.filters[key] !== DEFAULT_FILTERS[key]);
+}
+
+/**
+ * Get the projects that match the active filter
+ * @param {Object} model - Block model
+ * @returns {Array} Matching projects
+ */
+function getVisibleProjects(model) {
+  const { projects } = model;
+  return projects.filter((p) => matchesFilters(model, p));
+}
+
 /**
  * Get project counts per stage
+ * @param {Object} model - Block model
  * @returns {Object} Object mapping stage id to count
  */
-function getProjectCounts() {
+function getProjectCounts(model) {
+  const { coInnovationProcess } = model;
+  const visible = getVisibleProjects(model);
   const counts = {};
   coInnovationProcess.forEach((step) => {
-    counts[step.id] = projects.filter((p) => p.currentStage === step.id).length;
+    counts[step.id] = visible.filter((p) => p.currentStage === step.id).length;
   });
   return counts;
 }
 
 /**
  * Get projects for a specific stage
+ * @param {Object} model - Block model
  * @param {string} stageId - The stage ID
  * @returns {Array} Projects at that stage
  */
-function getProjectsForStage(stageId) {
-  return projects.filter((p) => p.currentStage === stageId);
+function getProjectsForStage(model, stageId) {
+  return getVisibleProjects(model).filter((p) => p.currentStage === stageId);
+}
+
+/**
+ * Compute how long a project has been in its current stage and in the process,
+ * and whether it has overrun the stage's declared duration
+ * @param {Object} model - Block model
+ * @param {Object} project - The project
+ * @param {Date} [now] - Reference date
+ * @returns {Object} Timing, with null values when the history has no dates
+ */
+function getStageTiming(model, project, now = new Date()) {
+  const { coInnovationProcess } = model;
+  const stageEntries = project.history.filter((entry) => entry.stage === project.currentStage);
+  const enteredAt = stageEntries.length > 0 ? stageEntries[stageEntries.length - 1].entered : null;
+  const startedAt = project.history.length > 0 ? project.history[0].entered : null;
+  const step = coInnovationProcess.find((s) => s.id === project.currentStage);
+  const limit = step ? parseDuration(step.duration) : null;
+  const daysInStage = enteredAt ? Math.floor((now - enteredAt) / DAY_MS) : null;
+
+  return {
+    enteredAt,
+    startedAt,
+    daysInStage,
+    cycleDays: startedAt ? Math.floor((now - startedAt) / DAY_MS) : null,
+    limitDays: limit ? limit.maxDays : null,
+    overdue: daysInStage !== null && limit !== null && daysInStage > limit.maxDays,
+  };
+}
+
+/**
+ * Build timeline rows: one per visible project, one segment per stage entered,
+ * each with the stage's declared duration as its target band
+ * @param {Object} model - Block model
+ * @returns {Array} Rows of { project, segments }
+ */
+function getTimelineRows(model) {
+  const { coInnovationProcess } = model;
+  const now = new Date();
+  return getVisibleProjects(model).map((project) => {
+    const timing = getStageTiming(model, project, now);
+    const segments = project.history.map((entry, i) => {
+      const step = coInnovationProcess.find((s) => s.id === entry.stage);
+      const next = project.history[i + 1];
+      const duration = step ? parseDuration(step.duration) : null;
+      return {
+        stage: entry.stage,
+        title: step ? step.title : entry.stage,
+        start: entry.entered,
+        end: next ? next.entered : now,
+        current: !next,
+        overdue: !next && timing.overdue,
+        target: duration ? {
+          start: new Date(entry.entered.getTime() + duration.minDays * DAY_MS),
+          end: new Date(entry.entered.getTime() + duration.maxDays * DAY_MS),
+          label: step.duration,
+        } : null,
+      };
+    });
+    return { project, segments };
+  });
+}
+
+/**
+ * Get overdue project counts per stage
+ * @param {Object} model - Block model
+ * @returns {Object} Object mapping stage id to overdue count
+ */
+function getOverdueCounts(model) {
+  const counts = {};
+  getVisibleProjects(model).forEach((project) => {
+    if (getStageTiming(model, project).overdue) {
+      counts[project.currentStage] = (counts[project.currentStage] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Render the time-in-stage line for a project card
+ * @param {Object} model - Block model
+ * @param {Object} project - The project
+ * @returns {string} HTML, empty when the project has no stage dates
+ */
+function renderStageTiming(model, project) {
+  const timing = getStageTiming(model, project);
+  if (timing.daysInStage === null) return '';
+  return `
+    <div class="project-timing${timing.overdue ? ' overdue' : ''}">
+      In stage ${formatDays(timing.daysInStage)}${timing.limitDays !== null ? ` · target ${formatDays(timing.limitDays)}` : ''}
+      ${timing.overdue ? '<span class="overdue-badge">Overdue</span>' : ''}
+    </div>
+  `;
 }
 
 /**
  * Get step by ID
+ * @param {Object} model - Block model
  * @param {string} stepId - The step ID
  * @returns {Object} The step object
  */
-function getStepById(stepId) {
+function getStepById(model, stepId) {
+  const { coInnovationProcess } = model;
   return coInnovationProcess.find((s) => s.id === stepId);
 }
 
+/**
+ * Get the steps that lead into a step, ignoring loop-back edges
+ * @param {Object} model - Block model
+ * @param {string} stepId - The step ID
+ * @returns {Array} Preceding steps
+ */
+function getPreviousSteps(model, stepId) {
+  const { coInnovationProcess } = model;
+  const { edges } = buildGraph(coInnovationProcess);
+  return edges
+    .filter((edge) => edge.target === stepId && !edge.back)
+    .map((edge) => getStepById(model, edge.source));
+}
+
+/**
+ * Find the first gateway reached from a step by following forward edges.
+ * A gateway step is its own upcoming gateway.
+ * @param {Object} model - Block model
+ * @param {string} stepId - The step ID
+ * @returns {Object|null} The gateway step, null if none lies ahead
+ */
+function getUpcomingGateway(model, stepId) {
+  const { coInnovationProcess } = model;
+  const { edges } = buildGraph(coInnovationProcess);
+  const queue = [stepId];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (!seen.has(id)) {
+      seen.add(id);
+      const step = getStepById(model, id);
+      if (step && step.type === 'gateway') return step;
+      edges
+        .filter((edge) => edge.source === id && !edge.back)
+        .forEach((edge) => queue.push(edge.target));
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the gateway outcome that labels the edge to a next step.
+ * Prefers an outcome naming the target, falling back to the outcome
+ * listed in the same position as the target in nextSteps.
+ * @param {Object} model - Block model
+ * @param {Object} step - The source step
+ * @param {string} targetId - The next step ID
+ * @param {number} branch - Index of the target in nextSteps
+ * @returns {string} Outcome label, empty if there is none
+ */
+function getEdgeLabel(model, step, targetId, branch) {
+  if (step.type !== 'gateway' || step.outcomes.length === 0) return '';
+  const target = getStepById(model, targetId);
+  const named = step.outcomes.find((outcome) => {
+    const text = outcome.toLowerCase();
+    return text.includes(targetId.toLowerCase())
+      || (target && text.includes(target.title.toLowerCase()));
+  });
+  return named || step.outcomes[branch] || '';
+}
+
+/**
+ * Build the accessible name of a flowchart node
+ * @param {Object} model - Block model
+ * @param {Object} step - The step
+ * @param {number} index - Position of the step in the process
+ * @param {number} count - Projects at the step
+ * @param {number} overdue - Overdue projects at the step
+ * @returns {string} Label with the step type, project count and next steps
+ */
+function getNodeLabel(model, step, index, count, overdue) {
+  const { coInnovationProcess } = model;
+  const projects = `${count} ${isFilterActive(model) ? 'matching ' : ''}project${count !== 1 ? 's' : ''}`;
+  const parts = [
+    `Step ${index + 1} of ${coInnovationProcess.length}: ${step.title}`,
+    step.type === 'gateway' ? 'gateway' : 'process step',
+    overdue > 0 ? `${projects}, ${overdue} overdue` : projects,
+  ];
+  const next = step.nextSteps.map((id, branch) => {
+    const target = getStepById(model, id);
+    if (!target) return '';
+    const outcome = getEdgeLabel(model, step, id, branch);
+    return outcome ? `${target.title} (${outcome})` : target.title;
+  }).filter(Boolean);
+  if (next.length > 0) parts.push(`leads to ${next.join(' or ')}`);
+  return `${parts.join(', ')}.`;
+}
+
 /**
  * Escape CSV value (handle commas, quotes, newlines)
  * @param {*} value - Value to escape
@@ -116,64 +651,198 @@ function escapeCSV(value) {
 }
 
 /**
- * Generate CSV content for projects
- * @returns {string} CSV content
+ * Build the projects export table for the active filter
+ * @param {Object} model - Block model
+ * @returns {Object} Headers and rows of cell values
  */
-function generateProjectsCSV() {
-  const headers = ['ID', 'Name', 'Current Stage', 'Stage Title', 'Status', 'Progress %', 'Next Steps', 'Blocking Reason'];
+function getProjectsTable(model) {
+  const headers = ['ID', 'Name', 'Current Stage', 'Stage Title', 'Status', 'Progress %', 'Next Steps', 'Blocking Reason', 'Days in Stage', 'Overdue', 'Stage History'];
 
-  const rows = projects.map((project) => {
-    const stage = getStepById(project.currentStage);
+  const rows = getVisibleProjects(model).map((project) => {
+    const stage = getStepById(model, project.currentStage);
+    const timing = getStageTiming(model, project);
     return [
-      escapeCSV(project.id),
-      escapeCSV(project.name),
-      escapeCSV(project.currentStage),
-      escapeCSV(stage ? stage.title : ''),
-      escapeCSV(project.status),
-      escapeCSV(project.progress),
-      escapeCSV(project.nextSteps),
-      escapeCSV(project.blockingReason || ''),
-    ].join(',');
+      project.id,
+      project.name,
+      project.currentStage,
+      stage ? stage.title : '',
+      project.status,
+      project.progress,
+      project.nextSteps,
+      project.blockingReason || '',
+      timing.daysInStage ?? '',
+      timing.overdue ? 'yes' : 'no',
+      formatHistory(project.history),
+    ];
   });
 
-  return [headers.join(','), ...rows].join('\n');
+  return { headers, rows };
 }
 
 /**
- * Generate CSV content for process steps
- * @returns {string} CSV content
+ * Build the process steps export table, with counts for the active filter
+ * @param {Object} model - Block model
+ * @returns {Object} Headers and rows of cell values
  */
-function generateProcessCSV() {
+function getProcessTable(model) {
+  const { coInnovationProcess } = model;
   const headers = ['Step #', 'ID', 'Title', 'Type', 'Description', 'Details', 'Duration', 'Owner', 'Inputs', 'Outputs', 'Criteria', 'Outcomes', 'Project Count'];
 
-  const counts = getProjectCounts();
+  const counts = getProjectCounts(model);
 
   const rows = coInnovationProcess.map((step, index) => [
-    escapeCSV(index + 1),
-    escapeCSV(step.id),
-    escapeCSV(step.title),
-    escapeCSV(step.type),
-    escapeCSV(step.description),
-    escapeCSV(step.details),
-    escapeCSV(step.duration || ''),
-    escapeCSV(step.owner || ''),
-    escapeCSV(step.inputs?.join('; ') || ''),
-    escapeCSV(step.outputs?.join('; ') || ''),
-    escapeCSV(step.criteria?.join('; ') || ''),
-    escapeCSV(step.outcomes?.join('; ') || ''),
-    escapeCSV(counts[step.id] || 0),
-  ].join(','));
-
-  return [headers.join(','), ...rows].join('\n');
-}
-
-/**
- * Trigger CSV file download
- * @param {string} content - CSV content
+    index + 1,
+    step.id,
+    step.title,
+    step.type,
+    step.description,
+    step.details,
+    step.duration || '',
+    step.owner || '',
+    step.inputs?.join('; ') || '',
+    step.outputs?.join('; ') || '',
+    step.criteria?.join('; ') || '',
+    step.outcomes?.join('; ') || '',
+    counts[step.id] || 0,
+  ]);
+
+  return { headers, rows };
+}
+
+/**
+ * Build the per-stage summary table for the active filter
+ * @param {Object} model - Block model
+ * @returns {Object} Headers and rows of cell values
+ */
+function getStageSummaryTable(model) {
+  const { coInnovationProcess } = model;
+  const headers = ['Step #', 'ID', 'Title', 'Type', 'Projects', 'On-Track', 'Blocked', 'Overdue', 'Average Progress %'];
+
+  const rows = coInnovationProcess.map((step, index) => {
+    const stageProjects = getProjectsForStage(model, step.id);
+    const totalProgress = stageProjects.reduce((sum, p) => sum + p.progress, 0);
+    return [
+      index + 1,
+      step.id,
+      step.title,
+      step.type,
+      stageProjects.length,
+      stageProjects.filter((p) => p.status === 'on-track').length,
+      stageProjects.filter((p) => p.status === 'blocked').length,
+      stageProjects.filter((p) => getStageTiming(model, p).overdue).length,
+      stageProjects.length > 0 ? Math.round(totalProgress / stageProjects.length) : '',
+    ];
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Serialize an export table as CSV
+ * @param {Object} table - Headers and rows of cell values
+ * @returns {string} CSV content
+ */
+function tableToCSV(table) {
+  return [table.headers, ...table.rows]
+    .map((cells) => cells.map(escapeCSV).join(','))
+    .join('\n');
+}
+
+/**
+ * Generate CSV content for projects
+ * @param {Object} model - Block model
+ * @returns {string} CSV content
+ */
+function generateProjectsCSV(model) {
+  return tableToCSV(getProjectsTable(model));
+}
+
+/**
+ * Generate CSV content for process steps
+ * @param {Object} model - Block model
+ * @returns {string} CSV content
+ */
+function generateProcessCSV(model) {
+  return tableToCSV(getProcessTable(model));
+}
+
+/**
+ * Generate one XLSX workbook with the process, projects and stage summary
+ * @param {Object} model - Block model
+ * @returns {Blob} The workbook file
+ */
+function generateWorkbook(model) {
+  return createWorkbook([
+    { name: 'Process', ...getProcessTable(model) },
+    { name: 'Projects', ...getProjectsTable(model) },
+    { name: 'Stage Summary', ...getStageSummaryTable(model) },
+  ]);
+}
+
+/**
+ * Wrap rows in the spreadsheet JSON sheet format
+ * @param {Array} rows - Sheet rows
+ * @returns {Object} Sheet with total, offset, limit and data
+ */
+function toSheet(rows) {
+  return {
+    total: rows.length,
+    offset: 0,
+    limit: rows.length,
+    data: rows,
+  };
+}
+
+/**
+ * Generate a multi-sheet JSON workbook in the same format the block reads,
+ * so an export can be used as a data source
+ * @param {Object} model - Block model
+ * @returns {string} JSON content
+ */
+function generateDataJSON(model) {
+  const { coInnovationProcess } = model;
+  const process = coInnovationProcess.map((step) => ({
+    id: step.id,
+    title: step.title,
+    type: step.type,
+    description: step.description || '',
+    details: step.details || '',
+    inputs: step.inputs.join('|'),
+    outputs: step.outputs.join('|'),
+    duration: step.duration,
+    owner: step.owner,
+    criteria: step.criteria.join('|'),
+    outcomes: step.outcomes.join('|'),
+    nextSteps: step.nextSteps.join('|'),
+  }));
+  const projectRows = getVisibleProjects(model).map((project) => ({
+    id: project.id,
+    name: project.name,
+    currentStage: project.currentStage,
+    status: project.status,
+    nextSteps: project.nextSteps || '',
+    blockingReason: project.blockingReason || '',
+    progress: String(project.progress),
+    stageHistory: formatHistory(project.history),
+  }));
+
+  return JSON.stringify({
+    process: toSheet(process),
+    projects: toSheet(projectRows),
+    ':version': 3,
+    ':names': ['process', 'projects'],
+    ':type': 'multi-sheet',
+  }, null, 2);
+}
+
+/**
+ * Trigger a file download
+ * @param {string|Blob} content - File content
  * @param {string} filename - Filename for download
+ * @param {string} [type] - MIME type for string content
  */
-function downloadCSV(content, filename) {
-  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+function downloadFile(content, filename, type = 'text/csv;charset=utf-8;') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
@@ -185,21 +854,155 @@ function downloadCSV(content, filename) {
   URL.revokeObjectURL(url);
 }
 
+let d3Loading;
+
+/**
+ * Load the vendored D3 subset once per page, checked against its hash
+ * @returns {Promise<boolean>} True when D3 is available to draw charts
+ */
+function loadD3() {
+  if (!d3Loading) {
+    d3Loading = window.d3
+      ? Promise.resolve(true)
+      : loadScript(`${window.hlx.codeBasePath}/blocks/co-innovation/vendor/d3.min.js`, {
+        integrity: D3_INTEGRITY,
+        crossorigin: 'anonymous',
+      })
+        .then(() => Boolean(window.d3))
+        .catch((error) => {
+          // eslint-disable-next-line no-console
+          console.error('Co-innovation: could not load the chart library', error);
+          return false;
+        });
+  }
+  return d3Loading;
+}
+
+/**
+ * Flowchart node size
+ */
+const NODE_WIDTH = 160;
+const NODE_HEIGHT = 80;
+
+/**
+ * Flowchart zoom limits; fitting a large process may zoom out further
+ */
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+
+/**
+ * Draw what a flowchart node shows about its projects: count and overdue
+ * badges, the filtered-out and changed states, and the accessible label
+ * @param {Object} model - Block model
+ * @param {Object} nodes - D3 selection of the node groups
+ */
+function drawNodeCounts(model, nodes) {
+  // eslint-disable-next-line no-undef
+  const { d3 } = window;
+  const counts = getProjectCounts(model);
+  const overdueCounts = getOverdueCounts(model);
+  const changedStages = new Set(model.projects
+    .filter((project) => model.recentlyChanged.has(project.id))
+    .map((project) => project.currentStage));
+
+  nodes.selectAll('.count-badge-group, .overdue-badge-group').remove();
+  nodes
+    .classed('node-filtered-out', (d) => isFilterActive(model) && !counts[d.id])
+    .classed('node-changed', (d) => changedStages.has(d.id))
+    .attr('aria-label', (d, i) => getNodeLabel(model, d, i, counts[d.id], overdueCounts[d.id] || 0));
+
+  // Add count badges
+  nodes.each(function addBadge(d) {
+    const count = counts[d.id];
+    if (count > 0) {
+      const node = d3.select(this);
+      const badgeGroup = node.append('g')
+        .attr('class', 'count-badge-group')
+        .attr('transform', `translate(${NODE_WIDTH - 15}, 8)`);
+
+      badgeGroup.append('circle')
+        .attr('r', 14)
+        .attr('class', 'count-badge-circle');
+
+      badgeGroup.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.35em')
+        .attr('class', 'count-badge-text')
+        .text(count);
+    }
+  });
+
+  // Add overdue badges next to the count badges
+  nodes.each(function addOverdueBadge(d) {
+    const overdue = overdueCounts[d.id];
+    if (overdue > 0) {
+      const badgeGroup = d3.select(this).append('g')
+        .attr('class', 'overdue-badge-group')
+        .attr('transform', `translate(${NODE_WIDTH - 45}, 8)`);
+
+      badgeGroup.append('title').text(`${overdue} overdue`);
+
+      badgeGroup.append('circle')
+        .attr('r', 12)
+        .attr('class', 'overdue-badge-circle');
+
+      badgeGroup.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.35em')
+        .attr('class', 'overdue-badge-text')
+        .text(`!${overdue}`);
+    }
+  });
+}
+
+/**
+ * Check whether the user asked for reduced motion
+ * @returns {boolean} True if animations should be skipped
+ */
+function prefersReducedMotion() {
+  return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Follow the page's colour scheme: a dark or light theme in the page
+ * metadata wins, the system setting decides otherwise
+ * @param {Element} block - Block element
+ */
+function followColorScheme(block) {
+  const query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+  const update = () => {
+    const { classList } = document.body;
+    const dark = classList.contains('dark')
+      || (!classList.contains('light') && Boolean(query && query.matches));
+    block.classList.toggle('theme-dark', dark);
+  };
+  update();
+  if (query) query.addEventListener('change', update);
+}
+
 /**
  * Create the flowchart visualization using D3.js
+ * @param {Object} model - Block model
  * @param {Element} container - The container element
  * @param {Function} onNodeClick - Callback when node is clicked
+ * @returns {Object} relayout() fits the chart to a new container width,
+ *   moving the nodes rather than redrawing them; centerStep(id) pans a step
+ *   into the middle of the view; getSize() gives the unzoomed chart size;
+ *   destroy() stops the chart and removes it with its controls
  */
-function createFlowchart(container, onNodeClick) {
+function createFlowchart(model, container, onNodeClick) {
+  const { coInnovationProcess } = model;
   // eslint-disable-next-line no-undef
   const { d3 } = window;
-  const width = container.clientWidth || 1200;
-  const height = 500;
-  const nodeWidth = 160;
-  const nodeHeight = 80;
+  const nodeWidth = NODE_WIDTH;
+  const nodeHeight = NODE_HEIGHT;
   const horizontalGap = 40;
   const verticalGap = 100;
-  const counts = getProjectCounts();
+  const padding = 80;
+  // Keep keyboard focus on the same step when the chart is redrawn
+  const focusedNode = container.contains(document.activeElement)
+    && document.activeElement.closest('.node');
+  const refocusId = focusedNode && focusedNode.dataset.step;
 
   // Clear existing content
   container.innerHTML = '';
@@ -207,17 +1010,29 @@ function createFlowchart(container, onNodeClick) {
   // Create SVG
   const svg = d3.select(container)
     .append('svg')
-    .attr('width', '100%')
-    .attr('height', height)
-    .attr('viewBox', `0 0 ${width} ${height}`)
-    .attr('preserveAspectRatio', 'xMidYMid meet');
+    .attr('role', 'group')
+    .attr('aria-label', `Process flowchart, ${coInnovationProcess.length} steps. Use the arrow keys to follow the process and Enter or Space to open a step. Plus and minus zoom, 0 resets the view.`);
 
   // Add defs for markers and filters
   const defs = svg.append('defs');
 
-  // Arrow marker
+  // Arrow markers: connectors, and forward and backward snapshot moves
+  ['', '-back'].forEach((suffix) => {
+    defs.append('marker')
+      .attr('id', `movement-arrow${suffix}-${model.id}`)
+      .attr('viewBox', '0 -5 10 10')
+      .attr('refX', 8)
+      .attr('refY', 0)
+      .attr('markerWidth', 5)
+      .attr('markerHeight', 5)
+      .attr('orient', 'auto')
+      .append('path')
+      .attr('d', 'M0,-5L10,0L0,5')
+      .attr('class', `movement-arrowhead${suffix}`);
+  });
+
   defs.append('marker')
-    .attr('id', 'arrowhead')
+    .attr('id', `arrowhead-${model.id}`)
     .attr('viewBox', '0 -5 10 10')
     .attr('refX', 8)
     .attr('refY', 0)
@@ -226,11 +1041,11 @@ function createFlowchart(container, onNodeClick) {
     .attr('orient', 'auto')
     .append('path')
     .attr('d', 'M0,-5L10,0L0,5')
-    .attr('fill', '#9CA3AF');
+    .attr('class', 'arrowhead');
 
   // Drop shadow filter
   const filter = defs.append('filter')
-    .attr('id', 'drop-shadow')
+    .attr('id', `drop-shadow-${model.id}`)
     .attr('height', '130%');
   filter.append('feGaussianBlur')
     .attr('in', 'SourceAlpha')
@@ -247,76 +1062,27 @@ function createFlowchart(container, onNodeClick) {
   merge.append('feMergeNode');
   merge.append('feMergeNode').attr('in', 'SourceGraphic');
 
-  // Calculate positions for 2-row layout (4 nodes per row)
-  const row1StartX = (width - (4 * nodeWidth + 3 * horizontalGap)) / 2;
-  const row1Y = 80;
-  const row2Y = row1Y + nodeHeight + verticalGap;
-
-  const positions = [
-    // Row 1: Steps 1-4 (left to right)
-    { x: row1StartX, y: row1Y },
-    { x: row1StartX + nodeWidth + horizontalGap, y: row1Y },
-    { x: row1StartX + 2 * (nodeWidth + horizontalGap), y: row1Y },
-    { x: row1StartX + 3 * (nodeWidth + horizontalGap), y: row1Y },
-    // Row 2: Steps 5-8 (right to left for flow)
-    { x: row1StartX + 3 * (nodeWidth + horizontalGap), y: row2Y },
-    { x: row1StartX + 2 * (nodeWidth + horizontalGap), y: row2Y },
-    { x: row1StartX + nodeWidth + horizontalGap, y: row2Y },
-    { x: row1StartX, y: row2Y },
-  ];
+  // Connectors sit under the nodes, their labels and snapshot moves over them
+  // Everything zoomable lives in one group, moved by the zoom transform
+  const graph = buildGraph(coInnovationProcess);
+  const content = svg.append('g').attr('class', 'flowchart-content');
+  const edgeLayer = content.append('g').attr('class', 'edge-layer');
 
-  // Draw connections
-  const connections = [
-    { from: 0, to: 1, type: 'horizontal' },
-    { from: 1, to: 2, type: 'horizontal' },
-    { from: 2, to: 3, type: 'horizontal' },
-    { from: 3, to: 4, type: 'vertical' },
-    { from: 4, to: 5, type: 'horizontal-reverse' },
-    { from: 5, to: 6, type: 'horizontal-reverse' },
-    { from: 6, to: 7, type: 'horizontal-reverse' },
-  ];
-
-  // eslint-disable-next-line array-callback-return
-  connections.map((conn) => {
-    const fromPos = positions[conn.from];
-    const toPos = positions[conn.to];
-    let pathD;
-
-    if (conn.type === 'horizontal') {
-      const startX = fromPos.x + nodeWidth;
-      const startY = fromPos.y + nodeHeight / 2;
-      const endX = toPos.x;
-      const endY = toPos.y + nodeHeight / 2;
-      pathD = `M${startX},${startY} L${endX - 10},${endY}`;
-    } else if (conn.type === 'horizontal-reverse') {
-      const startX = fromPos.x;
-      const startY = fromPos.y + nodeHeight / 2;
-      const endX = toPos.x + nodeWidth;
-      const endY = toPos.y + nodeHeight / 2;
-      pathD = `M${startX},${startY} L${endX + 10},${endY}`;
-    } else if (conn.type === 'vertical') {
-      const startX = fromPos.x + nodeWidth / 2;
-      const startY = fromPos.y + nodeHeight;
-      const endX = toPos.x + nodeWidth / 2;
-      const endY = toPos.y;
-      pathD = `M${startX},${startY} L${endX},${endY - 10}`;
-    }
-
-    return svg.append('path')
-      .attr('d', pathD)
-      .attr('stroke', '#9CA3AF')
-      .attr('stroke-width', 2)
-      .attr('fill', 'none')
-      .attr('marker-end', 'url(#arrowhead)');
-  });
-
-  // Create node groups
-  const nodes = svg.selectAll('.node')
+  // Create node groups, placed by the layout below
+  let positions = new Map();
+  const nodes = content.selectAll('.node')
     .data(coInnovationProcess)
     .enter()
     .append('g')
-    .attr('class', (d) => `node node-${d.type}`)
-    .attr('transform', (d, i) => `translate(${positions[i].x}, ${positions[i].y})`)
+    .attr('class', (d, i) => {
+      const classes = ['node', `node-${d.type}`];
+      if (i === 0) classes.push('node-first');
+      if (i === coInnovationProcess.length - 1) classes.push('node-last');
+      if (d.id === model.selectedStep) classes.push('node-selected');
+      return classes.join(' ');
+    })
+    .attr('data-step', (d) => d.id)
+    .attr('role', 'button')
     .style('cursor', 'pointer')
     .on('click', (event, d) => {
       // Add click animation
@@ -324,14 +1090,14 @@ function createFlowchart(container, onNodeClick) {
         .transition()
         .duration(100)
         .attr('transform', (data) => {
-          const idx = coInnovationProcess.indexOf(data);
-          return `translate(${positions[idx].x}, ${positions[idx].y}) scale(0.95)`;
+          const pos = positions.get(data.id);
+          return `translate(${pos.x}, ${pos.y}) scale(0.95)`;
         })
         .transition()
         .duration(100)
         .attr('transform', (data) => {
-          const idx = coInnovationProcess.indexOf(data);
-          return `translate(${positions[idx].x}, ${positions[idx].y}) scale(1)`;
+          const pos = positions.get(data.id);
+          return `translate(${pos.x}, ${pos.y}) scale(1)`;
         });
       onNodeClick(d);
     })
@@ -340,22 +1106,32 @@ function createFlowchart(container, onNodeClick) {
         .transition()
         .duration(200)
         .attr('transform', function getTransform() {
-          const idx = coInnovationProcess.indexOf(d3.select(this).datum());
-          return `translate(${positions[idx].x - 3}, ${positions[idx].y - 3}) scale(1.03)`;
+          const pos = positions.get(d3.select(this).datum().id);
+          return `translate(${pos.x - 3}, ${pos.y - 3}) scale(1.03)`;
         });
-      d3.select(this).select('rect, polygon').attr('filter', 'url(#drop-shadow)');
+      d3.select(this).select('rect, polygon').attr('filter', `url(#drop-shadow-${model.id})`);
     })
     .on('mouseleave', function handleMouseLeave() {
       d3.select(this)
         .transition()
         .duration(200)
         .attr('transform', function getTransform() {
-          const idx = coInnovationProcess.indexOf(d3.select(this).datum());
-          return `translate(${positions[idx].x}, ${positions[idx].y})`;
+          const pos = positions.get(d3.select(this).datum().id);
+          return `translate(${pos.x}, ${pos.y})`;
         });
       d3.select(this).select('rect, polygon').attr('filter', null);
     });
 
+  // Focus ring, shown for keyboard focus only
+  nodes.append('rect')
+    .attr('class', 'node-focus-ring')
+    .attr('x', -6)
+    .attr('y', -6)
+    .attr('width', nodeWidth + 12)
+    .attr('height', nodeHeight + 12)
+    .attr('rx', 12)
+    .attr('ry', 12);
+
   // Draw shapes based on type
   nodes.each(function drawNode(d) {
     const node = d3.select(this);
@@ -407,35 +1183,425 @@ function createFlowchart(container, onNodeClick) {
     .attr('class', 'node-title')
     .text((d) => d.title);
 
-  // Add count badges
-  nodes.each(function addBadge(d) {
-    const count = counts[d.id];
-    if (count > 0) {
-      const node = d3.select(this);
-      const badgeGroup = node.append('g')
-        .attr('class', 'count-badge-group')
-        .attr('transform', `translate(${nodeWidth - 15}, 8)`);
+  drawNodeCounts(model, nodes);
 
-      badgeGroup.append('circle')
-        .attr('r', 14)
-        .attr('class', 'count-badge-circle');
+  // Keyboard access: a single node in the tab order (roving tabindex),
+  // arrow keys follow the nextSteps edges, Home and End jump to the ends
+  const nodeById = new Map();
+  nodes.each(function indexNode(d) {
+    nodeById.set(d.id, this);
+  });
+  const setTabStop = (id) => {
+    model.focusedStep = id;
+    nodes.attr('tabindex', (d) => (d.id === id ? 0 : -1));
+  };
+  const getPrevious = (id) => coInnovationProcess
+    .filter((step) => step.nextSteps.includes(id))
+    .map((step) => step.id);
+
+  nodes
+    .on('focus', (event, d) => setTabStop(d.id))
+    .on('keydown', (event, d) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        onNodeClick(d);
+        return;
+      }
+      const next = d.nextSteps.filter((id) => nodeById.has(id));
+      const previous = getPrevious(d.id);
+      // Right and Left take the first branch, Down and Up the last
+      const targets = {
+        ArrowRight: next[0],
+        ArrowDown: next[next.length - 1],
+        ArrowLeft: previous[0],
+        ArrowUp: previous[previous.length - 1],
+        Home: coInnovationProcess[0].id,
+        End: coInnovationProcess[coInnovationProcess.length - 1].id,
+      };
+      if (!(event.key in targets)) return;
+      event.preventDefault();
+      const target = nodeById.get(targets[event.key]);
+      if (target) target.focus();
+    });
 
-      badgeGroup.append('text')
-        .attr('text-anchor', 'middle')
+  const tabStop = [refocusId, model.focusedStep].find((id) => nodeById.has(id))
+    || (coInnovationProcess[0] && coInnovationProcess[0].id);
+  setTabStop(tabStop);
+  if (refocusId && nodeById.has(refocusId)) nodeById.get(refocusId).focus();
+
+  const overlayLayer = content.append('g').attr('class', 'overlay-layer');
+
+  // Draw connections, including gateway branches and loop-back edges, for
+  // the current layout
+  const drawConnections = (layout) => {
+    edgeLayer.selectAll('*').remove();
+    overlayLayer.selectAll('*').remove();
+    const edges = routeEdges(graph, layout, {
+      nodeWidth, nodeHeight, verticalGap, padding,
+    });
+    edges.forEach((edge) => {
+      edgeLayer.append('path')
+        .attr('class', `edge${edge.back ? ' edge-back' : ''}`)
+        .attr('d', edge.d)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', edge.back ? '6 4' : null)
+        .attr('fill', 'none')
+        .attr('marker-end', `url(#arrowhead-${model.id})`)
+        .attr('aria-hidden', 'true');
+    });
+
+    // Label gateway edges with their outcomes, over the nodes
+    edges.forEach((edge) => {
+      const label = getEdgeLabel(model, getStepById(model, edge.source), edge.target, edge.branch);
+      if (!label) return;
+      overlayLayer.append('text')
+        .attr('class', 'edge-label')
+        .attr('aria-hidden', 'true')
+        .attr('x', edge.label.x)
+        .attr('y', edge.label.y)
+        .attr('text-anchor', edge.label.anchor)
         .attr('dy', '0.35em')
-        .attr('class', 'count-badge-text')
-        .text(count);
+        .text(label);
+    });
+
+    // Stage moves since the loaded snapshot, as curved arrows over the chart
+    if (model.comparison && model.comparison.diff) {
+      const radius = nodeHeight / 2;
+      const flowIndex = new Map(graph.nodes.map((node, i) => [node.id, i]));
+      const center = (id) => {
+        const pos = positions.get(id);
+        return [pos.x + nodeWidth / 2, pos.y + nodeHeight / 2];
+      };
+      getStageMovements(model.comparison.diff)
+        .filter(({ from, to }) => positions.has(from) && positions.has(to))
+        .forEach(({ from, to, count }) => {
+          const [x1, y1] = center(from);
+          const [x2, y2] = center(to);
+          const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+          const ux = (x2 - x1) / length;
+          const uy = (y2 - y1) / length;
+          // Bow the curve to the left of its direction, which is up for forward moves
+          const bend = Math.min(80, length * 0.3);
+          const cx = (x1 + x2) / 2 + uy * bend;
+          const cy = (y1 + y2) / 2 - ux * bend;
+          const start = [x1 + ux * radius, y1 + uy * radius];
+          const end = [x2 - ux * (radius + 6), y2 - uy * (radius + 6)];
+
+          const back = flowIndex.get(to) < flowIndex.get(from);
+          const movement = overlayLayer.append('g')
+            .attr('class', `movement${back ? ' movement-back' : ''}`);
+          movement.append('title')
+            .text(`${count} project${count !== 1 ? 's' : ''} moved from ${getStepById(model, from).title} to ${getStepById(model, to).title}`);
+          movement.append('path')
+            .attr('class', 'movement-edge')
+            .attr('d', `M${start[0]},${start[1]} Q${cx},${cy} ${end[0]},${end[1]}`)
+            .attr('marker-end', `url(#movement-arrow${back ? '-back' : ''}-${model.id})`);
+          // Label at the middle of the curve
+          movement.append('circle')
+            .attr('class', 'movement-count-circle')
+            .attr('cx', (start[0] + 2 * cx + end[0]) / 4)
+            .attr('cy', (start[1] + 2 * cy + end[1]) / 4)
+            .attr('r', 11);
+          movement.append('text')
+            .attr('class', 'movement-count-text')
+            .attr('x', (start[0] + 2 * cx + end[0]) / 4)
+            .attr('y', (start[1] + 2 * cy + end[1]) / 4)
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .text(count);
+        });
     }
+  };
+
+  // Zoom and pan. Until the user zooms or pans, the view follows the
+  // layout: 'reset' fits the chart's width at up to 100%, 'fit' shows all
+  // of it; model.flowchartZoom keeps the choice across redraws.
+  let size = { width: 0, height: 0 };
+  let viewport = { width: 0, height: 0 };
+  let transform = d3.zoomIdentity;
+  const duration = () => (prefersReducedMotion() ? 0 : 400);
+
+  // Minimap: the whole chart in miniature with the visible area outlined,
+  // shown while part of the chart is out of view
+  const minimap = d3.select(container).append('div')
+    .attr('class', 'flowchart-minimap')
+    .attr('aria-hidden', 'true');
+  const minimapSvg = minimap.append('svg');
+  const minimapNodes = minimapSvg.append('g');
+  const minimapView = minimapSvg.append('rect').attr('class', 'minimap-viewport');
+
+  const drawMinimap = () => {
+    minimapSvg.attr('viewBox', `0 0 ${size.width} ${size.height}`);
+    minimapNodes.selectAll('*').remove();
+    graph.nodes.forEach((step) => {
+      const pos = positions.get(step.id);
+      minimapNodes.append('rect')
+        .attr('class', `minimap-node ${step.type}`)
+        .attr('x', pos.x)
+        .attr('y', pos.y)
+        .attr('width', nodeWidth)
+        .attr('height', nodeHeight)
+        .attr('rx', 12);
+    });
+  };
+
+  const updateMinimap = () => {
+    const x = transform.invertX(0);
+    const y = transform.invertY(0);
+    const width = viewport.width / transform.k;
+    const height = viewport.height / transform.k;
+    minimapView.attr('x', x).attr('y', y).attr('width', width).attr('height', height);
+    const allVisible = x <= 1 && y <= 1
+      && x + width >= size.width - 1 && y + height >= size.height - 1;
+    minimap.attr('hidden', allVisible ? '' : null);
+  };
+
+  const zoom = d3.zoom()
+    .extent(() => [[0, 0], [viewport.width, viewport.height]])
+    // One finger scrolls the page, as the chart can fill most of a phone
+    // screen; two fingers pan and pinch
+    .filter((event) => !event.button && (event.type !== 'wheel' || event.ctrlKey || event.metaKey)
+      && (!event.touches || event.touches.length > 1))
+    .on('zoom', (event) => {
+      ({ transform } = event);
+      content.attr('transform', transform);
+      if (event.sourceEvent || model.flowchartZoom.mode === 'custom') {
+        model.flowchartZoom = { mode: 'custom', transform };
+      }
+      updateMinimap();
+    });
+  svg.call(zoom).on('dblclick.zoom', null);
+
+  const getViewTransform = (mode) => {
+    const widthScale = Math.min(1, viewport.width / size.width);
+    const scale = mode === 'fit' ? Math.min(widthScale, viewport.height / size.height) : widthScale;
+    const y = mode === 'fit' ? (viewport.height - size.height * scale) / 2 : 0;
+    return d3.zoomIdentity.translate((viewport.width - size.width * scale) / 2, y).scale(scale);
+  };
+
+  // Zoom changes ease into place unless motion is reduced
+  const zoomTarget = (animate) => (animate && duration() > 0
+    ? svg.transition('zoom').duration(duration())
+    : svg.interrupt('zoom'));
+  const applyTransform = (next, animate) => {
+    zoomTarget(animate).call(zoom.transform, next);
+  };
+
+  // Zoom controls, as on the timeline; the keys work while the chart has focus
+  const zoomTo = (action) => {
+    if (action === 'fit' || action === 'reset') {
+      model.flowchartZoom = { mode: action, transform: null };
+      applyTransform(getViewTransform(action), true);
+      return;
+    }
+    model.flowchartZoom = { mode: 'custom', transform };
+    zoom.scaleBy(zoomTarget(true), action === 'in' ? 1.25 : 0.8);
+  };
+
+  const controls = document.createElement('div');
+  controls.className = 'co-innovation-flowchart-controls';
+  controls.innerHTML = `
+    <button type="button" data-zoom="in" aria-label="Zoom in" aria-keyshortcuts="+">+</button>
+    <button type="button" data-zoom="out" aria-label="Zoom out" aria-keyshortcuts="-">−</button>
+    <button type="button" data-zoom="fit">Fit to screen</button>
+    <button type="button" data-zoom="reset" aria-keyshortcuts="0">Reset</button>
+    <span class="flowchart-hint">Drag to pan, Ctrl + scroll to zoom</span>
+  `;
+  controls.querySelectorAll('button').forEach((button) => {
+    button.addEventListener('click', () => zoomTo(button.dataset.zoom));
   });
+  container.prepend(controls);
+
+  const handleZoomKey = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const action = {
+      '+': 'in', '=': 'in', '-': 'out', '−': 'out', 0: 'reset',
+    }[event.key];
+    if (!action) return;
+    event.preventDefault();
+    zoomTo(action);
+  };
+  svg.on('keydown.zoom', handleZoomKey);
+  controls.addEventListener('keydown', handleZoomKey);
+
+  // Pan a step into the middle of the view, keeping the zoom level
+  const centerStep = (id, animate = true) => {
+    const pos = positions.get(id);
+    if (!pos) return;
+    model.flowchartZoom = { mode: 'custom', transform };
+    zoom.translateTo(zoomTarget(animate), pos.x + nodeWidth / 2, pos.y + nodeHeight / 2);
+  };
+
+  // Keyboard focus brings a step that is out of view back into it
+  nodes.on('focus.zoom', (event, d) => {
+    const pos = positions.get(d.id);
+    const left = transform.applyX(pos.x);
+    const top = transform.applyY(pos.y);
+    const right = transform.applyX(pos.x + nodeWidth);
+    const bottom = transform.applyY(pos.y + nodeHeight);
+    if (left < 0 || top < 0 || right > viewport.width || bottom > viewport.height) {
+      centerStep(d.id);
+    }
+  });
+
+  // Clicking or dragging in the minimap moves the view there
+  const moveToMinimapPoint = (event) => {
+    const rect = minimapSvg.node().getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    model.flowchartZoom = { mode: 'custom', transform };
+    zoom.translateTo(
+      zoomTarget(false),
+      ((event.clientX - rect.left) / rect.width) * size.width,
+      ((event.clientY - rect.top) / rect.height) * size.height,
+    );
+  };
+  minimap
+    .on('pointerdown', (event) => {
+      event.preventDefault();
+      event.currentTarget.setPointerCapture(event.pointerId);
+      moveToMinimapPoint(event);
+    })
+    .on('pointermove', (event) => {
+      if (event.buttons) moveToMinimapPoint(event);
+    });
+
+  // Fit as many columns as the width allows, down to a single column.
+  // Only a change in the column count moves the nodes: they glide to their
+  // new slots and the connectors are redrawn once they arrive.
+  let layout = null;
+  // The view is as tall as the chart at its reset scale, within reason
+  const getViewport = (width) => ({
+    width,
+    height: Math.min(
+      size.height * Math.min(1, width / size.width),
+      Math.max(320, Math.round(window.innerHeight * 0.7)),
+    ),
+  });
+  const relayout = () => {
+    const width = getContentWidth(container) || (layout ? 0 : 1200);
+    if (width === 0) return;
+    if (layout) {
+      const next = getViewport(width);
+      if (next.width === viewport.width && next.height === viewport.height) return;
+    }
+    const options = {
+      nodeWidth, nodeHeight, horizontalGap, verticalGap, padding,
+    };
+    // Pick the columns for the width, then lay them out from the left edge
+    const { columns } = computeLayout(graph, { ...options, width });
+    const columnsChanged = !layout || columns !== layout.columns;
+    const animate = Boolean(layout) && columnsChanged && duration() > 0;
+
+    if (columnsChanged) {
+      layout = computeLayout(graph, {
+        ...options,
+        width: columns * nodeWidth + (columns - 1) * horizontalGap + 2 * padding,
+      });
+      positions = layout.positions;
+      size = { width: layout.right + padding, height: layout.height };
+
+      const place = (d) => {
+        const pos = positions.get(d.id);
+        return `translate(${pos.x}, ${pos.y})`;
+      };
+      if (animate) {
+        edgeLayer.selectAll('*').remove();
+        overlayLayer.selectAll('*').remove();
+        const target = layout;
+        nodes.transition('layout')
+          .duration(500)
+          .attr('transform', place)
+          .end()
+          .then(() => drawConnections(target))
+          // A newer relayout took over and draws the connectors itself
+          .catch(() => {});
+      } else {
+        nodes.interrupt('layout').attr('transform', place);
+        drawConnections(layout);
+      }
+      drawMinimap();
+    }
+
+    viewport = getViewport(width);
+    svg.attr('width', viewport.width).attr('height', viewport.height);
+    const fitScale = Math.min(viewport.width / size.width, viewport.height / size.height);
+    zoom.scaleExtent([Math.min(MIN_ZOOM, fitScale), MAX_ZOOM])
+      .translateExtent([[0, 0], [size.width, size.height]]);
+
+    const { mode } = model.flowchartZoom;
+    applyTransform(mode === 'custom'
+      ? zoom.constrain()(model.flowchartZoom.transform, zoom.extent()(), zoom.translateExtent())
+      : getViewTransform(mode), animate);
+  };
+  relayout();
+
+  return {
+    relayout,
+    centerStep,
+    getSize: () => size,
+    destroy: () => {
+      svg.interrupt('zoom').on('.zoom', null);
+      nodes.interrupt('layout').on('.zoom', null);
+      controls.remove();
+      minimap.remove();
+      svg.remove();
+    },
+  };
+}
+
+/**
+ * Update the flowchart's counts in place, for new project data on an
+ * unchanged process
+ * @param {Object} model - Block model
+ * @param {Element} container - The container element
+ * @returns {boolean} False if there is no chart to update
+ */
+function updateFlowchart(model, container) {
+  // eslint-disable-next-line no-undef
+  const { d3 } = window;
+  const nodes = d3.select(container).selectAll('.node');
+  if (nodes.empty()) return false;
+  // Rebind the re-read steps, which the click and key handlers receive
+  drawNodeCounts(model, nodes.data(model.coInnovationProcess, (d) => d.id));
+  return true;
 }
 
 /**
- * Create mobile-friendly list view of process steps
+ * Show a newly rendered list, keeping the items of the current one whose
+ * markup did not change, so a data refresh only touches what changed
+ * @param {Element} container - The container element
+ * @param {string} selector - Selector of the current list in the container
+ * @param {Element} list - The new list, its items keyed by data-key
+ * @returns {Array} Items added to the page, which still need their listeners
+ */
+function replaceList(container, selector, list) {
+  const existing = container.querySelector(`:scope > ${selector}`);
+  const items = [...list.children];
+  const keys = (el) => [...el.children].map((item) => item.dataset.key).join('|');
+  if (!existing || keys(existing) !== keys(list)) {
+    if (existing) existing.replaceWith(list);
+    else container.append(list);
+    return items;
+  }
+
+  const current = [...existing.children];
+  return items.filter((item, i) => {
+    if (item.outerHTML === current[i].outerHTML) return false;
+    current[i].replaceWith(item);
+    return true;
+  });
+}
+
+/**
+ * Create the list view of process steps, which stands in for the flowchart without D3
+ * @param {Object} model - Block model
  * @param {Element} container - The container element
  * @param {Function} onStepClick - Callback when step is clicked
  */
-function createMobileList(container, onStepClick) {
-  const counts = getProjectCounts();
+function createMobileList(model, container, onStepClick) {
+  const { coInnovationProcess } = model;
+  const counts = getProjectCounts(model);
+  const overdueCounts = getOverdueCounts(model);
 
   const list = document.createElement('div');
   list.className = 'co-innovation-mobile-list';
@@ -443,39 +1609,399 @@ function createMobileList(container, onStepClick) {
   coInnovationProcess.forEach((step, index) => {
     const count = counts[step.id] || 0;
 
+    const changed = getProjectsForStage(model, step.id)
+      .some((project) => model.recentlyChanged.has(project.id));
+
     const stepEl = document.createElement('div');
-    stepEl.className = `mobile-step ${step.type}`;
+    stepEl.className = `mobile-step ${step.type}${isFilterActive(model) && count === 0 ? ' filtered-out' : ''}${changed ? ' recently-changed' : ''}`;
+    stepEl.dataset.key = step.id;
     stepEl.innerHTML = `
       <div class="mobile-step-number">${index + 1}</div>
       <div class="mobile-step-content">
         <div class="mobile-step-header">
-          <h3 class="mobile-step-title">${step.title}</h3>
-          <span class="mobile-step-badge">${step.type}</span>
+          <h3 class="mobile-step-title">${escapeHTML(step.title)}</h3>
+          <span class="mobile-step-badge">${escapeHTML(step.type)}</span>
         </div>
-        <p class="mobile-step-desc">${step.description}</p>
+        <p class="mobile-step-desc">${escapeHTML(step.description)}</p>
         <div class="mobile-step-meta">
           ${count > 0 ? `<span class="mobile-step-count"><strong>${count}</strong> project${count !== 1 ? 's' : ''}</span>` : ''}
-          ${step.duration ? `<span class="mobile-step-count">${step.duration}</span>` : ''}
+          ${step.duration ? `<span class="mobile-step-count">${escapeHTML(step.duration)}</span>` : ''}
+          ${overdueCounts[step.id] ? `<span class="mobile-step-count overdue">${overdueCounts[step.id]} overdue</span>` : ''}
         </div>
       </div>
-      <span class="mobile-step-arrow">→</span>
+      <span class="mobile-step-arrow">→</span>
+    `;
+
+    stepEl.tabIndex = 0;
+    stepEl.setAttribute('role', 'button');
+    stepEl.setAttribute('aria-label', getNodeLabel(model, step, index, count, overdueCounts[step.id] || 0));
+    list.append(stepEl);
+  });
+
+  // Replace the list rendered for a previous filter or data
+  replaceList(container, '.co-innovation-mobile-list', list).forEach((stepEl) => {
+    const openStep = () => onStepClick(getStepById(model, stepEl.dataset.key));
+    stepEl.addEventListener('click', openStep);
+    stepEl.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      openStep();
+    });
+  });
+}
+
+/**
+ * Route clicks on step and project links to the panel
+ * @param {Object} model - Block model
+ * @param {Element} container - Element holding the links
+ * @param {Function} onNavigate - Navigation callback, receives { step } or { project }
+ */
+function bindNavigationLinks(model, container, onNavigate) {
+  container.querySelectorAll('a[data-step-id], a[data-project-id]').forEach((link) => {
+    link.addEventListener('click', (e) => {
+      // Modified clicks open the link's URL in a new tab or window
+      if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+      e.preventDefault();
+      const { stepId, projectId } = link.dataset;
+      const targetStep = stepId && getStepById(model, stepId);
+      const targetProject = projectId && model.projects.find((p) => p.id === projectId);
+      if (targetStep) {
+        onNavigate({ step: targetStep });
+      } else if (targetProject) {
+        onNavigate({ project: targetProject });
+      }
+    });
+  });
+}
+
+/**
+ * Order projects for a board column: blocked first, then by progress
+ * @param {Object} a - First project
+ * @param {Object} b - Second project
+ * @returns {number} Sort order
+ */
+function compareBoardProjects(a, b) {
+  const statusOrder = (project) => (project.status === 'blocked' ? 0 : 1);
+  return statusOrder(a) - statusOrder(b) || b.progress - a.progress;
+}
+
+/**
+ * Create the kanban board view of projects by stage
+ * @param {Object} model - Block model
+ * @param {Element} container - The container element
+ * @param {Function} onNavigate - Navigation callback, receives { step } or { project }
+ */
+function createBoard(model, container, onNavigate) {
+  const { coInnovationProcess } = model;
+  const board = document.createElement('div');
+  board.className = 'co-innovation-board';
+
+  coInnovationProcess.forEach((step, index) => {
+    const stageProjects = getProjectsForStage(model, step.id).sort(compareBoardProjects);
+    const blockedCount = stageProjects.filter((p) => p.status === 'blocked').length;
+
+    const column = document.createElement('section');
+    column.className = `board-column ${step.type}`;
+    column.dataset.key = step.id;
+    column.setAttribute('aria-label', step.title);
+    column.innerHTML = `
+      <a href="${getLinkHref('step', step.id)}" class="board-column-header" data-step-id="${escapeHTML(step.id)}">
+        <span class="board-column-number">${index + 1}</span>
+        <span class="board-column-title">${escapeHTML(step.title)}</span>
+        <span class="board-wip" title="${stageProjects.length} in progress, ${blockedCount} blocked">
+          <strong class="board-wip-count">${stageProjects.length}</strong>
+          ${blockedCount > 0 ? `<span class="board-wip-blocked">${blockedCount} blocked</span>` : ''}
+        </span>
+      </a>
+      <div class="board-cards">
+        ${stageProjects.map((project) => `
+          <a href="${getLinkHref('project', project.id)}" class="co-innovation-project-card board-card ${project.status === 'blocked' ? 'blocked' : ''} ${model.recentlyChanged.has(project.id) ? 'recently-changed' : ''}" data-project-id="${escapeHTML(project.id)}">
+            <div class="project-header">
+              <p class="project-name">${escapeHTML(project.name)}</p>
+              <span class="status-badge ${escapeHTML(project.status)}">${project.status === 'on-track' ? 'On-Track' : 'Blocked'}</span>
+            </div>
+            <div class="project-progress">
+              <div class="progress-bar">
+                <div class="progress-fill ${escapeHTML(project.status)}" style="width: ${project.progress}%"></div>
+              </div>
+              <span class="progress-text">${project.progress}%</span>
+            </div>
+            ${renderStageTiming(model, project)}
+            ${project.blockingReason ? `<p class="board-card-reason">${escapeHTML(project.blockingReason)}</p>` : ''}
+          </a>
+        `).join('')}
+        ${stageProjects.length === 0 ? '<p class="no-projects">No projects</p>' : ''}
+      </div>
+    `;
+    board.append(column);
+  });
+
+  // Replace the board rendered for a previous filter or data
+  replaceList(container, '.co-innovation-board', board)
+    .forEach((column) => bindNavigationLinks(model, column, onNavigate));
+}
+
+/**
+ * Format a date for the report
+ * @param {Date} date - The date
+ * @returns {string} Date such as "Oct 18, 2026"
+ */
+function formatReportDate(date) {
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Render a project table for the report
+ * @param {Array} rows - Projects to list
+ * @param {Array} columns - Column headings and cell renderers: { label, className, render }
+ * @returns {string} Table HTML
+ */
+function renderReportTable(rows, columns) {
+  return `
+    <table class="report-table">
+      <thead>
+        <tr>${columns.map((column) => `<th scope="col" class="${column.className}">${column.label}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${rows.map((project) => `
+          <tr>${columns.map((column) => `<td class="${column.className}">${column.render(project)}</td>`).join('')}</tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Draw the static report flowchart: drawn off-page under its own id, then
+ * cloned so none of the click and hover handlers come along
+ * @param {Object} model - Block model
+ * @param {Element} section - Report section to draw into
+ */
+function appendReportFlowchart(model, section) {
+  const { coInnovationProcess } = model;
+  const scratch = document.createElement('div');
+  const chart = createFlowchart({
+    ...model,
+    id: `${model.id}-report`,
+    flowchartZoom: { mode: 'reset', transform: null },
+  }, scratch, () => {});
+  // The whole chart, unzoomed, scaled to the page by CSS
+  const { width, height } = chart.getSize();
+  const svg = scratch.querySelector('svg').cloneNode(true);
+  chart.destroy();
+  svg.querySelector('.flowchart-content').removeAttribute('transform');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.querySelectorAll('.node').forEach((node) => {
+    ['tabindex', 'role', 'aria-label'].forEach((name) => node.removeAttribute(name));
+  });
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', `${coInnovationProcess.length}-step process with project counts per stage`);
+  section.append(svg);
+}
+
+/**
+ * Create the printable report: KPIs, a static flowchart, projects by stage
+ * and the blocked projects with their reasons
+ * @param {Object} model - Block model
+ * @param {Element} container - The report element
+ * @param {string} title - Report title
+ */
+function createReport(model, container, title) {
+  const { coInnovationProcess } = model;
+  const visible = getVisibleProjects(model);
+  const blocked = visible.filter((p) => p.status === 'blocked');
+  const overdue = visible.filter((p) => getStageTiming(model, p).overdue);
+  const averageProgress = visible.length > 0
+    ? Math.round(visible.reduce((sum, p) => sum + p.progress, 0) / visible.length)
+    : 0;
+
+  const stageTitle = (project) => {
+    const stage = getStepById(model, project.currentStage);
+    return escapeHTML(stage ? stage.title : project.currentStage);
+  };
+  const daysInStage = (project) => {
+    const timing = getStageTiming(model, project);
+    if (timing.daysInStage === null) return '–';
+    return `${formatDays(timing.daysInStage)}${timing.overdue ? ' <span class="overdue-badge">Overdue</span>' : ''}`;
+  };
+  const columns = {
+    name: { label: 'Project', className: 'report-col-name', render: (p) => escapeHTML(p.name) },
+    stage: { label: 'Stage', className: 'report-col-stage', render: stageTitle },
+    status: {
+      label: 'Status',
+      className: 'report-col-status',
+      render: (p) => `<span class="status-badge ${escapeHTML(p.status)}">${p.status === 'on-track' ? 'On-Track' : 'Blocked'}</span>`,
+    },
+    progress: {
+      label: 'Progress',
+      className: 'report-col-progress',
+      render: (p) => `
+        <div class="project-progress">
+          <div class="progress-bar"><div class="progress-fill ${escapeHTML(p.status)}" style="width: ${p.progress}%"></div></div>
+          <span class="progress-text">${p.progress}%</span>
+        </div>
+      `,
+    },
+    days: { label: 'In Stage', className: 'report-col-days', render: daysInStage },
+    nextSteps: { label: 'Next Steps', className: 'report-col-text', render: (p) => formatInline(p.nextSteps) },
+    reason: { label: 'Blocking Reason', className: 'report-col-text', render: (p) => escapeHTML(p.blockingReason || 'Not given') },
+  };
+
+  const blockedHTML = blocked.length > 0
+    ? renderReportTable(blocked, [columns.name, columns.stage, columns.days, columns.reason])
+    : '<p class="no-projects">No blocked projects.</p>';
+
+  const stageColumns = [
+    columns.name, columns.status, columns.progress, columns.days, columns.nextSteps,
+  ];
+  const stagesHTML = coInnovationProcess.map((step, index) => {
+    const stageProjects = getProjectsForStage(model, step.id).sort(compareBoardProjects);
+    return `
+      <div class="report-stage ${escapeHTML(step.type)}">
+        <h4>
+          <span class="report-stage-number">${index + 1}</span>
+          ${escapeHTML(step.title)}
+          <span class="report-stage-count">${stageProjects.length} project${stageProjects.length !== 1 ? 's' : ''}</span>
+        </h4>
+        ${stageProjects.length > 0 ? renderReportTable(stageProjects, stageColumns) : '<p class="no-projects">No projects at this stage.</p>'}
+      </div>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="report-header">
+      <div>
+        <h2>${escapeHTML(title)}</h2>
+        <p class="report-meta">Report generated ${formatReportDate(new Date())}${isFilterActive(model) ? ` · filtered to ${visible.length} of ${model.projects.length} projects` : ''}</p>
+      </div>
+      <button type="button" class="report-print">Print / Save as PDF</button>
+    </div>
+    <section class="report-section report-kpis" aria-label="Summary">
+      <div class="report-kpi"><strong class="report-kpi-value">${visible.length}</strong><span class="report-kpi-label">Projects</span></div>
+      <div class="report-kpi"><strong class="report-kpi-value">${visible.length - blocked.length}</strong><span class="report-kpi-label">On-Track</span></div>
+      <div class="report-kpi blocked"><strong class="report-kpi-value">${blocked.length}</strong><span class="report-kpi-label">Blocked</span></div>
+      <div class="report-kpi overdue"><strong class="report-kpi-value">${overdue.length}</strong><span class="report-kpi-label">Overdue</span></div>
+      <div class="report-kpi"><strong class="report-kpi-value">${averageProgress}%</strong><span class="report-kpi-label">Average Progress</span></div>
+    </section>
+    <section class="report-section report-flowchart">
+      <h3>Process Overview</h3>
+    </section>
+    <section class="report-section report-blocked">
+      <h3>Blocked Projects</h3>
+      ${blockedHTML}
+    </section>
+    <section class="report-section report-stages">
+      <h3>Projects by Stage</h3>
+      ${stagesHTML}
+    </section>
+  `;
+
+  // The static flowchart needs D3
+  if (!window.d3) {
+    container.querySelector('.report-flowchart').remove();
+  } else {
+    appendReportFlowchart(model, container.querySelector('.report-flowchart'));
+  }
+
+  container.querySelector('.report-print').addEventListener('click', () => window.print());
+}
+
+/**
+ * Render the changes since a loaded snapshot
+ * @param {Object} model - Block model with the comparison to show
+ * @param {Element} container - The comparison element
+ * @param {Function} onNavigate - Navigation callback, receives { step } or { project }
+ */
+function renderComparison(model, container, onNavigate) {
+  const { comparison } = model;
+  container.hidden = !comparison;
+  if (!comparison) {
+    container.innerHTML = '';
+    return;
+  }
+
+  if (comparison.error) {
+    container.innerHTML = `
+      <div class="comparison-header">
+        <p class="comparison-error" role="alert">Could not compare with ${escapeHTML(comparison.name)}: ${escapeHTML(comparison.error)}</p>
+        <button type="button" class="comparison-clear">Dismiss</button>
+      </div>
     `;
+    return;
+  }
 
-    stepEl.addEventListener('click', () => onStepClick(step));
-    list.append(stepEl);
-  });
+  const { diff } = comparison;
+  const stageName = (id) => {
+    const step = getStepById(model, id);
+    return escapeHTML(step ? step.title : id || 'None');
+  };
+  const statusLabel = (status) => `<span class="status-badge ${escapeHTML(status)}">${status === 'blocked' ? 'Blocked' : 'On-Track'}</span>`;
+  const projectLink = (project) => `<a href="${getLinkHref('project', project.id)}" data-project-id="${escapeHTML(project.id)}">${escapeHTML(project.name)}</a>`;
+  const section = (title, items, render) => (items.length > 0 ? `
+    <div class="comparison-group">
+      <h3>${title} <span class="comparison-count">${items.length}</span></h3>
+      <ul class="comparison-list">${items.map((item) => `<li>${render(item)}</li>`).join('')}</ul>
+    </div>
+  ` : '');
+
+  const total = diff.moved.length + diff.statusChanged.length + diff.progressChanged.length
+    + diff.added.length + diff.removed.length;
+
+  container.innerHTML = `
+    <div class="comparison-header">
+      <h2>Changes since ${escapeHTML(comparison.date || 'snapshot')}</h2>
+      <p class="comparison-source">Compared with ${escapeHTML(comparison.name)}</p>
+      <button type="button" class="comparison-clear">Clear comparison</button>
+    </div>
+    ${total === 0 ? '<p class="no-projects">No changes since this snapshot.</p>' : ''}
+    <div class="comparison-groups">
+      ${section('Moved Stage', diff.moved, ({ project, from, to }) => `
+        ${projectLink(project)}
+        <span class="comparison-change">${stageName(from)} <span aria-label="to">→</span> ${stageName(to)}</span>
+      `)}
+      ${section('Status Changed', diff.statusChanged, ({ project, from, to }) => `
+        ${projectLink(project)}
+        <span class="comparison-change">${statusLabel(from)} <span aria-label="to">→</span> ${statusLabel(to)}</span>
+      `)}
+      ${section('Progress', diff.progressChanged, ({
+    project, from, to, delta,
+  }) => `
+        ${projectLink(project)}
+        <span class="comparison-change">${from}% → ${to}% <strong class="comparison-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '+' : ''}${delta}</strong></span>
+      `)}
+      ${section('New Projects', diff.added, (project) => `
+        ${projectLink(project)}
+        <span class="comparison-change">${stageName(project.currentStage)}</span>
+      `)}
+      ${section('Removed Projects', diff.removed, (project) => `
+        <span class="comparison-removed">${escapeHTML(project.name)}</span>
+        <span class="comparison-change">was at ${stageName(project.currentStage)}</span>
+      `)}
+    </div>
+  `;
 
-  container.append(list);
+  bindNavigationLinks(model, container, onNavigate);
 }
 
 /**
- * Create the detail panel
+ * Elements the panel focus trap cycles through
+ */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex="0"]';
+
+/**
+ * Create the detail panel, a modal dialog over the chart
+ * @param {Object} model - Block model
  * @param {Element} block - The block element
  * @returns {Object} Panel elements and methods
  */
-function createDetailPanel(block) {
+function createDetailPanel(model, block) {
   const panel = document.createElement('div');
   panel.className = 'co-innovation-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('aria-labelledby', `panel-title-${model.id}`);
 
   const panelHeader = document.createElement('div');
   panelHeader.className = 'co-innovation-panel-header';
@@ -486,6 +2012,8 @@ function createDetailPanel(block) {
   const panelTitleWrapper = document.createElement('div');
   const panelTitle = document.createElement('h2');
   panelTitle.className = 'co-innovation-panel-title';
+  panelTitle.id = `panel-title-${model.id}`;
+  panelTitle.tabIndex = -1;
   const panelBadge = document.createElement('span');
   panelBadge.className = 'co-innovation-type-badge';
   panelTitleWrapper.append(panelTitle, panelBadge);
@@ -501,9 +2029,37 @@ function createDetailPanel(block) {
   const panelContent = document.createElement('div');
   panelContent.className = 'co-innovation-panel-content';
 
-  panel.append(panelHeader, panelContent);
+  // Polite live region for moves between steps inside the panel
+  const status = document.createElement('p');
+  status.className = 'co-innovation-panel-status';
+  status.setAttribute('role', 'status');
+
+  panel.append(panelHeader, panelContent, status);
   block.append(panel);
 
+  // Keep Tab and Shift+Tab inside the open panel
+  panel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Tab') return;
+    const focusable = [...panel.querySelectorAll(FOCUSABLE)]
+      .filter((el) => !el.closest('[hidden]'));
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || !focusable.includes(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  // Element to send focus back to on close, and the step it stood for in
+  // case the chart was redrawn while the panel was open
+  let returnFocus = null;
+  let returnStep = null;
+
   return {
     panel,
     panelTitle,
@@ -511,28 +2067,100 @@ function createDetailPanel(block) {
     panelContent,
     closeBtn,
     show: () => {
+      if (!panel.classList.contains('visible')) {
+        returnFocus = document.activeElement;
+        returnStep = returnFocus && returnFocus.dataset ? returnFocus.dataset.step : null;
+      }
       panel.classList.add('visible');
       block.classList.add('panel-open');
+      // Content re-rendered under the focus (a followed link) loses it
+      if (!panel.contains(document.activeElement)) panelTitle.focus({ preventScroll: true });
     },
     hide: () => {
+      const wasVisible = panel.classList.contains('visible');
       panel.classList.remove('visible');
       block.classList.remove('panel-open');
+      status.textContent = '';
+      if (!wasVisible) return;
+      const target = returnFocus && returnFocus.isConnected
+        ? returnFocus
+        : [...block.querySelectorAll('.node')].find((node) => node.dataset.step === returnStep);
+      if (target && target !== document.body) target.focus();
+      returnFocus = null;
+      returnStep = null;
     },
+    announce: (message) => {
+      status.textContent = message;
+    },
+  };
+}
+
+/**
+ * Get the query parameter names a block keeps its state in
+ * @param {Object} model - Block model
+ * @returns {Object} Step and project parameter names
+ */
+function getUrlKeys(model) {
+  // The first block on the page keeps the short ?step= and ?project= links
+  const prefix = model.scope ? `${model.scope}-` : '';
+  return { step: `${prefix}step`, project: `${prefix}project` };
+}
+
+/**
+ * Read the open step and highlighted project from the URL
+ * @param {Object} model - Block model
+ * @returns {Object} Step and project IDs, null when absent
+ */
+function readUrlState(model) {
+  const params = new URLSearchParams(window.location.search);
+  const keys = getUrlKeys(model);
+  return {
+    stepId: params.get(keys.step),
+    projectId: params.get(keys.project),
   };
 }
 
+/**
+ * Write the open step and highlighted project to the URL
+ * @param {Object} model - Block model
+ * @param {Object} state - Step and project IDs, omitted keys are removed
+ * @param {boolean} [replace] - Replace the history entry instead of pushing
+ */
+function writeUrlState(model, { stepId, projectId }, replace = false) {
+  const url = new URL(window.location.href);
+  const keys = getUrlKeys(model);
+  [[keys.step, stepId], [keys.project, projectId]].forEach(([key, value]) => {
+    if (value) {
+      url.searchParams.set(key, value);
+    } else {
+      url.searchParams.delete(key);
+    }
+  });
+  if (url.href === window.location.href) return;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
+
 /**
  * Render step details in the panel
+ * @param {Object} model - Block model
  * @param {Object} step - The step data
  * @param {Object} panelElements - Panel DOM elements
  * @param {Function} onNavigate - Navigation callback
+ * @param {string} [highlightId] - ID of a project card to highlight
  */
-function renderStepDetails(step, panelElements, onNavigate) {
+function renderStepDetails(model, step, panelElements, onNavigate, highlightId = null) {
+  const { projects } = model;
   const {
     panelTitle, panelBadge, panelContent,
   } = panelElements;
 
-  const stageProjects = getProjectsForStage(step.id);
+  const stageProjects = getProjectsForStage(model, step.id);
+  const allStageCount = projects.filter((p) => p.currentStage === step.id).length;
+  const overdueCount = stageProjects.filter((p) => getStageTiming(model, p).overdue).length;
   const onTrackCount = stageProjects.filter((p) => p.status === 'on-track').length;
   const blockedCount = stageProjects.filter((p) => p.status === 'blocked').length;
 
@@ -543,8 +2171,8 @@ function renderStepDetails(step, panelElements, onNavigate) {
   let contentHTML = `
     <div class="co-innovation-section">
       <h3>Overview</h3>
-      <p><strong>${step.description}</strong></p>
-      <p>${step.details}</p>
+      <p><strong>${escapeHTML(step.description)}</strong></p>
+      <p>${formatInline(step.details)}</p>
     </div>
   `;
 
@@ -553,23 +2181,23 @@ function renderStepDetails(step, panelElements, onNavigate) {
       <div class="co-innovation-section">
         <h3>Inputs</h3>
         <ul class="co-innovation-list">
-          ${step.inputs.map((input) => `<li>${input}</li>`).join('')}
+          ${step.inputs.map((input) => `<li>${escapeHTML(input)}</li>`).join('')}
         </ul>
       </div>
       <div class="co-innovation-section">
         <h3>Outputs</h3>
         <ul class="co-innovation-list">
-          ${step.outputs.map((output) => `<li>${output}</li>`).join('')}
+          ${step.outputs.map((output) => `<li>${escapeHTML(output)}</li>`).join('')}
         </ul>
       </div>
       <div class="co-innovation-info-grid">
         <div class="co-innovation-info-card">
           <div class="info-card-label">Duration</div>
-          <div class="info-card-value">${step.duration}</div>
+          <div class="info-card-value">${escapeHTML(step.duration)}</div>
         </div>
         <div class="co-innovation-info-card">
           <div class="info-card-label">Owner</div>
-          <div class="info-card-value">${step.owner}</div>
+          <div class="info-card-value">${escapeHTML(step.owner)}</div>
         </div>
       </div>
     `;
@@ -578,13 +2206,13 @@ function renderStepDetails(step, panelElements, onNavigate) {
       <div class="co-innovation-section">
         <h3>Decision Criteria</h3>
         <ul class="co-innovation-list">
-          ${step.criteria.map((criterion) => `<li>${criterion}</li>`).join('')}
+          ${step.criteria.map((criterion) => `<li>${escapeHTML(criterion)}</li>`).join('')}
         </ul>
       </div>
       <div class="co-innovation-section">
         <h3>Possible Outcomes</h3>
         <ul class="co-innovation-list">
-          ${step.outcomes.map((outcome) => `<li>${outcome}</li>`).join('')}
+          ${step.outcomes.map((outcome) => `<li>${escapeHTML(outcome)}</li>`).join('')}
         </ul>
       </div>
     `;
@@ -593,8 +2221,8 @@ function renderStepDetails(step, panelElements, onNavigate) {
   // Navigation links (Bonus Feature)
   if (step.nextSteps && step.nextSteps.length > 0) {
     const navLinks = step.nextSteps.map((nextId) => {
-      const nextStep = getStepById(nextId);
-      return nextStep ? `<a href="#" class="nav-link" data-step-id="${nextId}">${nextStep.title}</a>` : '';
+      const nextStep = getStepById(model, nextId);
+      return nextStep ? `<a href="${getLinkHref('step', nextId)}" class="nav-link" data-step-id="${escapeHTML(nextId)}">${escapeHTML(nextStep.title)}</a>` : '';
     }).filter(Boolean).join('');
 
     if (navLinks) {
@@ -615,6 +2243,7 @@ function renderStepDetails(step, panelElements, onNavigate) {
         <div class="co-innovation-projects-summary">
           <div class="projects-summary-item">
             <strong>Total:</strong> <span>${stageProjects.length}</span>
+            ${isFilterActive(model) ? `<span class="projects-summary-filtered">of ${allStageCount} (filtered)</span>` : ''}
           </div>
           <div class="projects-summary-item">
             <span class="status-badge on-track">On-Track</span> <strong>${onTrackCount}</strong>
@@ -622,26 +2251,32 @@ function renderStepDetails(step, panelElements, onNavigate) {
           <div class="projects-summary-item">
             <span class="status-badge blocked">Blocked</span> <strong>${blockedCount}</strong>
           </div>
+          ${overdueCount > 0 ? `
+            <div class="projects-summary-item">
+              <span class="overdue-badge">Overdue</span> <strong>${overdueCount}</strong>
+            </div>
+          ` : ''}
         </div>
         ${stageProjects.map((project) => `
-          <div class="co-innovation-project-card ${project.status === 'blocked' ? 'blocked' : ''}">
+          <div class="co-innovation-project-card ${project.status === 'blocked' ? 'blocked' : ''} ${project.id === highlightId ? 'highlighted' : ''} ${model.recentlyChanged.has(project.id) ? 'recently-changed' : ''}" data-project-id="${escapeHTML(project.id)}">
             <div class="project-header">
-              <p class="project-name">${project.name}</p>
-              <span class="status-badge ${project.status}">${project.status === 'on-track' ? 'On-Track' : 'Blocked'}</span>
+              <p class="project-name"><a href="${getLinkHref('project', project.id)}" class="project-link" data-project-id="${escapeHTML(project.id)}">${escapeHTML(project.name)}</a></p>
+              <span class="status-badge ${escapeHTML(project.status)}">${project.status === 'on-track' ? 'On-Track' : 'Blocked'}</span>
             </div>
             <div class="project-progress">
               <div class="progress-bar">
-                <div class="progress-fill ${project.status}" style="width: ${project.progress}%"></div>
+                <div class="progress-fill ${escapeHTML(project.status)}" style="width: ${project.progress}%"></div>
               </div>
               <span class="progress-text">${project.progress}%</span>
             </div>
+            ${renderStageTiming(model, project)}
             <div class="project-next-steps">
-              <strong>Next Steps:</strong> ${project.nextSteps}
+              <strong>Next Steps:</strong> ${formatInline(project.nextSteps)}
             </div>
             ${project.blockingReason ? `
               <div class="project-blocking-reason">
                 <strong>Blocking Reason:</strong>
-                ${project.blockingReason}
+                ${escapeHTML(project.blockingReason)}
               </div>
             ` : ''}
           </div>
@@ -652,24 +2287,283 @@ function renderStepDetails(step, panelElements, onNavigate) {
     contentHTML += `
       <div class="co-innovation-section">
         <h3>Projects at This Stage</h3>
-        <p class="no-projects">No projects currently at this stage.</p>
+        <p class="no-projects">${isFilterActive(model) && allStageCount > 0 ? `No projects at this stage match the current filter (${allStageCount} hidden).` : 'No projects currently at this stage.'}</p>
       </div>
     `;
   }
 
   panelContent.innerHTML = contentHTML;
+  bindNavigationLinks(model, panelContent, onNavigate);
+}
 
-  // Add navigation link handlers
-  panelContent.querySelectorAll('.nav-link').forEach((link) => {
-    link.addEventListener('click', (e) => {
-      e.preventDefault();
-      const { stepId } = link.dataset;
-      const targetStep = getStepById(stepId);
-      if (targetStep) {
-        onNavigate(targetStep);
-      }
+/**
+ * Render project details in the panel
+ * @param {Object} model - Block model
+ * @param {Object} project - The project data
+ * @param {Object} panelElements - Panel DOM elements
+ * @param {Function} onNavigate - Navigation callback
+ */
+function renderProjectDetails(model, project, panelElements, onNavigate) {
+  const { coInnovationProcess, projects } = model;
+  const {
+    panelTitle, panelBadge, panelContent,
+  } = panelElements;
+
+  const stage = getStepById(model, project.currentStage);
+  const flow = buildGraph(coInnovationProcess).nodes;
+  const stageIndex = flow.findIndex((step) => step.id === project.currentStage);
+  const previousSteps = getPreviousSteps(model, project.currentStage);
+  const gateway = getUpcomingGateway(model, project.currentStage);
+  const timing = getStageTiming(model, project);
+
+  // Navigate within the filtered list, or the full list if this project is filtered out
+  const visible = getVisibleProjects(model);
+  const list = visible.includes(project) ? visible : projects;
+  const index = list.indexOf(project);
+  const prev = list[index - 1];
+  const next = list[index + 1];
+
+  panelTitle.textContent = project.name;
+  panelBadge.textContent = 'project';
+  panelBadge.className = 'co-innovation-type-badge project';
+
+  let contentHTML = `
+    <nav class="co-innovation-project-nav" aria-label="Project navigation">
+      ${prev ? `<a href="${getLinkHref('project', prev.id)}" class="project-nav-link prev" data-project-id="${escapeHTML(prev.id)}">← ${escapeHTML(prev.name)}</a>` : '<span class="project-nav-link prev" aria-hidden="true"></span>'}
+      <span class="project-nav-position">${index + 1} of ${list.length}</span>
+      ${next ? `<a href="${getLinkHref('project', next.id)}" class="project-nav-link next" data-project-id="${escapeHTML(next.id)}">${escapeHTML(next.name)} →</a>` : '<span class="project-nav-link next" aria-hidden="true"></span>'}
+    </nav>
+    <div class="co-innovation-section">
+      <h3>Project</h3>
+      <div class="co-innovation-project-card ${project.status === 'blocked' ? 'blocked' : ''} ${model.recentlyChanged.has(project.id) ? 'recently-changed' : ''}">
+        <div class="project-header">
+          <p class="project-name">${escapeHTML(project.id)}</p>
+          <span class="status-badge ${escapeHTML(project.status)}">${project.status === 'on-track' ? 'On-Track' : 'Blocked'}</span>
+        </div>
+        <div class="project-progress">
+          <div class="progress-bar">
+            <div class="progress-fill ${escapeHTML(project.status)}" style="width: ${project.progress}%"></div>
+          </div>
+          <span class="progress-text">${project.progress}%</span>
+        </div>
+        ${renderStageTiming(model, project)}
+        <div class="project-next-steps">
+          <strong>Next Steps:</strong> ${formatInline(project.nextSteps)}
+        </div>
+        ${project.blockingReason ? `
+          <div class="project-blocking-reason">
+            <strong>Blocking Reason:</strong>
+            ${escapeHTML(project.blockingReason)}
+          </div>
+        ` : ''}
+      </div>
+    </div>
+    <div class="co-innovation-info-grid">
+      <div class="co-innovation-info-card">
+        <div class="info-card-label">Current Stage</div>
+        <div class="info-card-value">${stage ? `<a href="${getLinkHref('step', stage.id)}" class="info-card-link" data-step-id="${escapeHTML(stage.id)}">${escapeHTML(stage.title)}</a>` : escapeHTML(project.currentStage)}</div>
+      </div>
+      <div class="co-innovation-info-card">
+        <div class="info-card-label">Time in Stage</div>
+        <div class="info-card-value">${timing.daysInStage !== null ? formatDays(timing.daysInStage) : 'Unknown'}</div>
+      </div>
+      <div class="co-innovation-info-card">
+        <div class="info-card-label">Cycle Time</div>
+        <div class="info-card-value">${timing.cycleDays !== null ? formatDays(timing.cycleDays) : 'Unknown'}</div>
+      </div>
+      <div class="co-innovation-info-card">
+        <div class="info-card-label">Came From</div>
+        <div class="info-card-value">${previousSteps.length > 0 ? previousSteps.map((step) => `<a href="${getLinkHref('step', step.id)}" class="info-card-link" data-step-id="${escapeHTML(step.id)}">${escapeHTML(step.title)}</a>`).join(', ') : 'Entry point'}</div>
+      </div>
+    </div>
+  `;
+
+  if (stageIndex >= 0) {
+    const trackItems = flow.map((step, i) => {
+      let state = 'upcoming';
+      if (i < stageIndex) state = 'done';
+      if (i === stageIndex) state = 'current';
+      const current = state === 'current' ? ' aria-current="step"' : '';
+      return `<li class="track-step ${state} ${escapeHTML(step.type)}"${current}><a href="${getLinkHref('step', step.id)}" class="track-link" data-step-id="${escapeHTML(step.id)}">${escapeHTML(step.title)}</a></li>`;
+    }).join('');
+
+    contentHTML += `
+      <div class="co-innovation-section">
+        <h3>Position in Process</h3>
+        <p>Step ${stageIndex + 1} of ${flow.length}</p>
+        <ol class="co-innovation-process-track">${trackItems}</ol>
+      </div>
+    `;
+  }
+
+  if (project.history.length > 0) {
+    const now = new Date();
+    const historyItems = project.history.map((entry, i) => {
+      const entryStep = getStepById(model, entry.stage);
+      const left = project.history[i + 1] ? project.history[i + 1].entered : now;
+      return `
+        <li class="history-entry">
+          <span class="history-stage">${escapeHTML(entryStep ? entryStep.title : entry.stage)}</span>
+          <span class="history-date">${entry.entered.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}</span>
+          <span class="history-days">${formatDays(Math.floor((left - entry.entered) / DAY_MS))}</span>
+        </li>
+      `;
+    }).join('');
+
+    contentHTML += `
+      <div class="co-innovation-section">
+        <h3>Stage History</h3>
+        <ol class="co-innovation-history">${historyItems}</ol>
+      </div>
+    `;
+  }
+
+  if (gateway) {
+    contentHTML += `
+      <div class="co-innovation-section">
+        <h3>${gateway.id === project.currentStage ? 'Gateway Criteria' : `Next Gateway: ${escapeHTML(gateway.title)}`}</h3>
+        <ul class="co-innovation-list">
+          ${gateway.criteria.map((criterion) => `<li>${escapeHTML(criterion)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  if (stage) {
+    contentHTML += `
+      <div class="co-innovation-section co-innovation-nav-section">
+        <h3>Process</h3>
+        <div class="co-innovation-nav-links">
+          <a href="${getLinkHref('step', stage.id)}" class="nav-link" data-step-id="${escapeHTML(stage.id)}">${escapeHTML(stage.title)}</a>
+          ${gateway && gateway.id !== stage.id ? `<a href="${getLinkHref('step', gateway.id)}" class="nav-link" data-step-id="${escapeHTML(gateway.id)}">${escapeHTML(gateway.title)}</a>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  panelContent.innerHTML = contentHTML;
+  bindNavigationLinks(model, panelContent, onNavigate);
+}
+
+/**
+ * Create the project filter toolbar
+ * @param {Object} model - Block model
+ * @param {Function} onChange - Callback when the filter changes
+ * @returns {Object} The toolbar element and a refresh method for filters set elsewhere
+ */
+function createFilterToolbar(model, onChange) {
+  const { coInnovationProcess } = model;
+  const toolbar = document.createElement('div');
+  toolbar.className = 'co-innovation-toolbar';
+  toolbar.setAttribute('role', 'search');
+  toolbar.innerHTML = `
+    <input type="search" class="toolbar-search" placeholder="Search projects" aria-label="Search projects">
+    <select class="toolbar-status" aria-label="Filter by status"></select>
+    <select class="toolbar-stage" aria-label="Filter by stage"></select>
+    <div class="toolbar-progress" role="group" aria-label="Progress range">
+      <input type="number" class="toolbar-progress-min" min="0" max="100" step="5" aria-label="Minimum progress">
+      <span aria-hidden="true">–</span>
+      <input type="number" class="toolbar-progress-max" min="0" max="100" step="5" aria-label="Maximum progress">
+      <span aria-hidden="true">%</span>
+    </div>
+    <button type="button" class="toolbar-reset">Reset</button>
+    <span class="toolbar-count" aria-live="polite"></span>
+  `;
+
+  const search = toolbar.querySelector('.toolbar-search');
+  const statusSelect = toolbar.querySelector('.toolbar-status');
+  const stageSelect = toolbar.querySelector('.toolbar-stage');
+  const minInput = toolbar.querySelector('.toolbar-progress-min');
+  const maxInput = toolbar.querySelector('.toolbar-progress-max');
+  const resetBtn = toolbar.querySelector('.toolbar-reset');
+  const countEl = toolbar.querySelector('.toolbar-count');
+
+  const statusOptions = [
+    { value: '', label: 'All statuses' },
+    { value: 'on-track', label: 'On-Track' },
+    { value: 'blocked', label: 'Blocked' },
+  ];
+  const stageOptions = [
+    { value: '', label: 'All stages' },
+    ...coInnovationProcess.map((step) => ({ value: step.id, label: step.title })),
+  ];
+
+  const fillSelect = (select, options) => {
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.dataset.label = label;
+      option.textContent = label;
+      select.append(option);
+    });
+  };
+  fillSelect(statusSelect, statusOptions);
+  fillSelect(stageSelect, stageOptions);
+
+  // Facet counts: how many projects each option would match given the other filters
+  const updateFacets = () => {
+    [[statusSelect, 'status'], [stageSelect, 'stage']].forEach(([select, key]) => {
+      [...select.options].forEach((option) => {
+        if (!option.value) return;
+        const criteria = { ...model.filters, [key]: option.value };
+        const facetCount = model.projects
+          .filter((p) => matchesFilters(model, p, criteria)).length;
+        option.textContent = `${option.dataset.label} (${facetCount})`;
+      });
     });
+    const visibleCount = getVisibleProjects(model).length;
+    countEl.textContent = `${visibleCount} of ${model.projects.length} projects`;
+    resetBtn.disabled = !isFilterActive(model);
+  };
+
+  const syncInputs = () => {
+    search.value = model.filters.query;
+    statusSelect.value = model.filters.status;
+    stageSelect.value = model.filters.stage;
+    minInput.value = model.filters.minProgress;
+    maxInput.value = model.filters.maxProgress;
+  };
+
+  const clampProgress = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : Math.min(100, Math.max(0, parsed));
+  };
+
+  const applyInputs = () => {
+    const minProgress = clampProgress(minInput.value, DEFAULT_FILTERS.minProgress);
+    const maxProgress = clampProgress(maxInput.value, DEFAULT_FILTERS.maxProgress);
+    model.filters = {
+      query: search.value,
+      status: statusSelect.value,
+      stage: stageSelect.value,
+      minProgress: Math.min(minProgress, maxProgress),
+      maxProgress: Math.max(minProgress, maxProgress),
+    };
+    updateFacets();
+    onChange();
+  };
+
+  search.addEventListener('input', applyInputs);
+  [statusSelect, stageSelect, minInput, maxInput].forEach((input) => {
+    input.addEventListener('change', applyInputs);
+  });
+  resetBtn.addEventListener('click', () => {
+    model.filters = { ...DEFAULT_FILTERS };
+    syncInputs();
+    updateFacets();
+    onChange();
   });
+
+  syncInputs();
+  updateFacets();
+
+  return {
+    element: toolbar,
+    refresh: () => {
+      syncInputs();
+      updateFacets();
+    },
+  };
 }
 
 /**
@@ -677,44 +2571,76 @@ function renderStepDetails(step, panelElements, onNavigate) {
  * @param {Element} block - The block element
  */
 export default async function decorate(block) {
-  // Load data from JSON
-  [coInnovationProcess, projects] = await Promise.all([
-    fetchProcessData(),
-    fetchProjectsData(),
-  ]);
+  const config = getBlockConfig(block);
+  const index = [...document.querySelectorAll('.co-innovation')].indexOf(block);
+  followColorScheme(block);
+
+  // Load data from JSON, or from its offline copy when the network fails
+  const loaded = await fetchData(config);
+  const { processRows, projectRows, historyRows } = loaded.sheets;
+  // When the offline copy shown was saved, null once data is fresh
+  let { savedAt } = loaded;
+
+  // Each block on the page keeps its own data, filter and URL state
+  const model = {
+    id: config.id || `co-innovation-${index + 1}`,
+    scope: config.id || (index > 0 ? `co-innovation-${index + 1}` : ''),
+    coInnovationProcess: mapProcessRows(processRows),
+    projects: mapProjectRows(projectRows, historyRows),
+    filters: { ...DEFAULT_FILTERS },
+    comparison: null,
+    // Flowchart step holding the keyboard tab stop
+    focusedStep: null,
+    // Step open in the panel, outlined in the flowchart
+    selectedStep: null,
+    // Flowchart view: 'reset' or 'fit' follow the layout, 'custom' keeps
+    // the transform the user zoomed or panned to
+    flowchartZoom: { mode: 'reset', transform: null },
+    // Projects whose stage or status changed in the last data refresh
+    recentlyChanged: new Set(),
+  };
+  // Raw sheet rows behind the model, replaced by a local CSV preview
+  let sheets = { processRows, projectRows, historyRows };
 
   // Check if data loaded successfully
-  if (coInnovationProcess.length === 0) {
+  if (model.coInnovationProcess.length === 0) {
     block.innerHTML = '<p class="error">Failed to load co-innovation process data.</p>';
     return;
   }
 
-  // Load D3.js
-  await loadScript('https://d3js.org/d3.v7.min.js');
+  // Self-hosted D3; without it the block falls back to the step list
+  const hasCharts = await loadD3();
 
   // Create main structure
   const header = document.createElement('div');
   header.className = 'co-innovation-header';
   header.innerHTML = `
     <div class="co-innovation-header-content">
-      <h1>AEM Co-Innovation Process</h1>
-      <p>From Idea to Impact</p>
+      <h1></h1>
+      <p></p>
     </div>
     <div class="co-innovation-header-actions">
+      <button type="button" class="co-innovation-compare-btn">Compare Snapshot</button>
+      <input type="file" class="co-innovation-compare-input" accept=".csv,.json,text/csv,application/json" hidden>
       <div class="co-innovation-download-dropdown">
         <button class="co-innovation-download-btn" aria-expanded="false" aria-haspopup="true">
           <span class="download-icon">↓</span>
-          <span class="download-text">Export CSV</span>
+          <span class="download-text">Export</span>
         </button>
         <div class="co-innovation-download-menu" hidden>
-          <button class="download-option" data-type="projects">Download Projects</button>
-          <button class="download-option" data-type="process">Download Process Steps</button>
-          <button class="download-option" data-type="all">Download All Data</button>
+          <p class="download-note" hidden>Only projects matching the current filter are exported.</p>
+          <button class="download-option" data-type="projects">Projects (CSV)</button>
+          <button class="download-option" data-type="process">Process Steps (CSV)</button>
+          <button class="download-option" data-type="xlsx">All Data (Excel)</button>
+          <button class="download-option" data-type="json">All Data (JSON)</button>
         </div>
       </div>
     </div>
   `;
 
+  header.querySelector('h1').textContent = config.title;
+  header.querySelector('.co-innovation-header-content p').textContent = config.subtitle;
+
   // Setup download functionality
   const downloadBtn = header.querySelector('.co-innovation-download-btn');
   const downloadMenu = header.querySelector('.co-innovation-download-menu');
@@ -724,6 +2650,7 @@ export default async function decorate(block) {
     const isExpanded = downloadBtn.getAttribute('aria-expanded') === 'true';
     downloadBtn.setAttribute('aria-expanded', !isExpanded);
     downloadMenu.hidden = isExpanded;
+    downloadMenu.querySelector('.download-note').hidden = !isFilterActive(model);
   });
 
   // Close dropdown when clicking outside
@@ -739,11 +2666,18 @@ export default async function decorate(block) {
       const { type } = option.dataset;
       const timestamp = new Date().toISOString().split('T')[0];
 
-      if (type === 'projects' || type === 'all') {
-        downloadCSV(generateProjectsCSV(), `co-innovation-projects-${timestamp}.csv`);
+      if (type === 'projects') {
+        downloadFile(generateProjectsCSV(model), `co-innovation-projects-${timestamp}.csv`);
+      }
+      if (type === 'process') {
+        downloadFile(generateProcessCSV(model), `co-innovation-process-${timestamp}.csv`);
+      }
+      // One workbook rather than several files, which browsers tend to block
+      if (type === 'xlsx') {
+        downloadFile(generateWorkbook(model), `co-innovation-${timestamp}.xlsx`);
       }
-      if (type === 'process' || type === 'all') {
-        downloadCSV(generateProcessCSV(), `co-innovation-process-${timestamp}.csv`);
+      if (type === 'json') {
+        downloadFile(generateDataJSON(model), `co-innovation-${timestamp}.json`, 'application/json');
       }
 
       // Close dropdown
@@ -758,9 +2692,27 @@ export default async function decorate(block) {
   const chartTitle = document.createElement('div');
   chartTitle.className = 'co-innovation-chart-title';
   chartTitle.innerHTML = `
-    <h2>Co-Innovation Journey</h2>
-    <p class="subtitle">8-Step Process from Discovery to Delivery</p>
+    <h2></h2>
+    <p class="subtitle"></p>
   `;
+  chartTitle.querySelector('h2').textContent = config.chartTitle;
+  const updateSubtitle = () => {
+    chartTitle.querySelector('.subtitle').textContent = config.chartSubtitle
+      || `${model.coInnovationProcess.length}-Step Process from Discovery to Delivery`;
+  };
+  updateSubtitle();
+
+  const viewSwitch = document.createElement('div');
+  viewSwitch.className = 'co-innovation-view-switch';
+  viewSwitch.setAttribute('role', 'group');
+  viewSwitch.setAttribute('aria-label', 'View');
+  viewSwitch.innerHTML = `
+    <button type="button" class="view-option" data-view="flowchart" aria-pressed="true">Flowchart</button>
+    <button type="button" class="view-option" data-view="board" aria-pressed="false">Board</button>
+    <button type="button" class="view-option" data-view="timeline" aria-pressed="false">Timeline</button>
+    <button type="button" class="view-option" data-view="report" aria-pressed="false">Report</button>
+  `;
+  chartTitle.append(viewSwitch);
 
   const chartWrapper = document.createElement('div');
   chartWrapper.className = 'co-innovation-chart';
@@ -771,46 +2723,543 @@ export default async function decorate(block) {
   block.textContent = '';
   block.append(header, chartContainer);
 
+  // Stale data notice, shown while the block renders the offline copy
+  const offlineEl = document.createElement('div');
+  offlineEl.className = 'co-innovation-offline';
+  offlineEl.setAttribute('role', 'status');
+  header.before(offlineEl);
+  const renderOffline = (error = '') => {
+    offlineEl.hidden = !savedAt;
+    if (!savedAt) {
+      offlineEl.innerHTML = '';
+      return;
+    }
+    const timestamp = savedAt.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    offlineEl.innerHTML = `
+      <p class="offline-message">The latest data could not be loaded. Showing data from <time datetime="${savedAt.toISOString()}">${escapeHTML(timestamp)}</time>.</p>
+      <button type="button" class="offline-retry">Retry</button>
+      ${error ? `<p class="offline-error">${escapeHTML(error)}</p>` : ''}
+    `;
+  };
+  renderOffline();
+
+  // Data diagnostics for authors, kept off the live site
+  let diagnostics = null;
+  const renderDiagnostics = () => {
+    if (!isAuthorEnvironment()) return;
+    const issues = validateData(sheets.processRows, sheets.projectRows, sheets.historyRows);
+    const next = issues.length > 0 ? createDiagnostics(issues) : null;
+    if (diagnostics) diagnostics.remove();
+    if (next) block.prepend(next);
+    diagnostics = next;
+  };
+  renderDiagnostics();
+
   // Create detail panel
-  const panelElements = createDetailPanel(block);
+  const panelElements = createDetailPanel(model, block);
 
-  // Handle node click
-  const handleNodeClick = (step) => {
-    renderStepDetails(step, panelElements, handleNodeClick);
+  // The drawn flowchart, null without D3
+  let flowchart = null;
+
+  // Outline the step open in the panel, on the flowchart as it is drawn
+  const selectStep = (stepId) => {
+    model.selectedStep = stepId;
+    chartWrapper.querySelectorAll('.node').forEach((node) => {
+      node.classList.toggle('node-selected', node.dataset.step === stepId);
+    });
+  };
+
+  // Open the panel on a step (optionally highlighting one of its projects) or a project
+  let openView = null;
+  const openPanel = (view, { updateUrl = true } = {}) => {
+    const navigating = updateUrl && panelElements.panel.classList.contains('visible');
+    openView = view;
+    selectStep(view.step ? view.step.id : null);
+    if (view.project) {
+      renderProjectDetails(model, view.project, panelElements, openPanel);
+      panelElements.panel.scrollTop = 0;
+    } else {
+      renderStepDetails(model, view.step, panelElements, openPanel, view.projectId);
+    }
     panelElements.show();
+    // Announce moves made from links inside the panel, and bring the step
+    // into view behind it
+    if (navigating && view.step && flowchart) flowchart.centerStep(view.step.id);
+    if (navigating) {
+      const { coInnovationProcess } = model;
+      panelElements.announce(view.project
+        ? `Showing project ${view.project.name}`
+        : `Showing step ${coInnovationProcess.indexOf(view.step) + 1} of ${coInnovationProcess.length}: ${view.step.title}`);
+    }
+    const highlighted = panelElements.panelContent.querySelector('.co-innovation-project-card.highlighted');
+    if (highlighted) highlighted.scrollIntoView({ block: 'center' });
+    if (updateUrl) {
+      writeUrlState(model, view.project
+        ? { projectId: view.project.id }
+        : { stepId: view.step.id, projectId: view.projectId });
+    }
   };
 
-  // Handle close
-  panelElements.closeBtn.addEventListener('click', () => {
+  // Handle node click
+  const handleNodeClick = (step) => openPanel({ step });
+
+  const closePanel = () => {
+    openView = null;
+    selectStep(null);
     panelElements.hide();
-  });
+    writeUrlState(model, {});
+  };
+
+  // Restore the panel from the URL (on load and on back/forward)
+  const applyUrlState = () => {
+    const { stepId, projectId } = readUrlState(model);
+    const step = getStepById(model, stepId);
+    const project = model.projects.find((p) => p.id === projectId);
+    if (step) {
+      openPanel({ step, projectId: project ? project.id : null }, { updateUrl: false });
+    } else if (project) {
+      openPanel({ project }, { updateUrl: false });
+    } else {
+      openView = null;
+      selectStep(null);
+      panelElements.hide();
+    }
+  };
+
+  window.addEventListener('popstate', applyUrlState);
+
+  // Handle close
+  panelElements.closeBtn.addEventListener('click', closePanel);
 
   // Close on escape key
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && panelElements.panel.classList.contains('visible')) {
-      panelElements.hide();
+      closePanel();
     }
   });
 
   // Close on click outside (on the overlay)
   block.addEventListener('click', (e) => {
     if (e.target === block && panelElements.panel.classList.contains('visible')) {
-      panelElements.hide();
+      closePanel();
+    }
+  });
+
+  // Create the flowchart; the step list stands in without D3
+  if (hasCharts) {
+    flowchart = createFlowchart(model, chartWrapper, handleNodeClick);
+  } else {
+    block.classList.add('no-charts');
+    viewSwitch.querySelector('[data-view="timeline"]').hidden = true;
+  }
+
+  // Step list, which stands in for the flowchart without D3
+  createMobileList(model, chartContainer, handleNodeClick);
+
+  // Create board view
+  createBoard(model, chartContainer, openPanel);
+
+  // Timeline view, drawn when first shown since it needs a measurable width
+  const timelineWrapper = document.createElement('div');
+  timelineWrapper.className = 'co-innovation-timeline';
+  chartContainer.append(timelineWrapper);
+
+  // Printable report, rebuilt whenever it is shown
+  const reportWrapper = document.createElement('div');
+  reportWrapper.className = 'co-innovation-report';
+  chartContainer.append(reportWrapper);
+
+  let activeView = 'flowchart';
+  const renderActiveChart = () => {
+    if (activeView === 'flowchart' && hasCharts) {
+      if (flowchart) flowchart.destroy();
+      flowchart = createFlowchart(model, chartWrapper, handleNodeClick);
+    }
+    if (activeView === 'timeline') {
+      createTimeline(timelineWrapper, getTimelineRows(model), (project) => openPanel({ project }));
+    }
+    if (activeView === 'report') createReport(model, reportWrapper, config.title);
+  };
+
+  // Switch between the flowchart, the board and the timeline
+  viewSwitch.querySelectorAll('.view-option').forEach((option) => {
+    option.addEventListener('click', () => {
+      activeView = option.dataset.view;
+      viewSwitch.querySelectorAll('.view-option').forEach((other) => {
+        other.setAttribute('aria-pressed', other === option);
+      });
+      block.classList.toggle('view-board', activeView === 'board');
+      block.classList.toggle('view-timeline', activeView === 'timeline');
+      block.classList.toggle('view-report', activeView === 'report');
+      // Charts hidden by another view have to be re-measured
+      renderActiveChart();
+    });
+  });
+
+  // Re-render every view when the project filter changes. After a data
+  // refresh on the same process, changes (from getProjectChanges) limit
+  // the work to the flowchart counts and the steps and projects that changed.
+  let kpiStrip;
+  let toolbar;
+  const refreshViews = (changes = null) => {
+    if (!changes || activeView !== 'flowchart' || !hasCharts || model.comparison
+      || !updateFlowchart(model, chartWrapper)) {
+      renderActiveChart();
+    }
+    createMobileList(model, chartContainer, handleNodeClick);
+    createBoard(model, chartContainer, openPanel);
+    kpiStrip.update();
+    if (!openView) return;
+    // The open step or project may have changed or gone with new data
+    const step = openView.step && getStepById(model, openView.step.id);
+    const project = openView.project && model.projects.find((p) => p.id === openView.project.id);
+    if (changes && (step || project)
+      && !(step ? changes.stages.has(step.id) : changes.ids.has(project.id))) {
+      openView = { ...openView, step, project };
+      return;
+    }
+    const { scrollTop } = panelElements.panel;
+    if (step) {
+      openPanel({ ...openView, step }, { updateUrl: false });
+    } else if (project) {
+      openPanel({ project }, { updateUrl: false });
+    } else {
+      closePanel();
+      return;
     }
+    if (changes) panelElements.panel.scrollTop = scrollTop;
+  };
+
+  const renderToolbar = () => {
+    const next = createFilterToolbar(model, refreshViews);
+    if (toolbar) {
+      toolbar.element.replaceWith(next.element);
+    } else {
+      header.querySelector('.co-innovation-header-actions').prepend(next.element);
+    }
+    toolbar = next;
+  };
+  renderToolbar();
+
+  // KPI strip: each KPI applies its filter, clicking it again clears it
+  const isKpiActive = (filter) => {
+    const target = { ...DEFAULT_FILTERS, ...filter };
+    return Object.keys(DEFAULT_FILTERS).every((key) => model.filters[key] === target[key]);
+  };
+  const renderKpis = () => {
+    const next = createKpiStrip(computeKpis(model.coInnovationProcess, model.projects), {
+      isActive: isKpiActive,
+      onFilter: (filter) => {
+        const clear = Object.keys(filter).length > 0 && isKpiActive(filter);
+        model.filters = { ...DEFAULT_FILTERS, ...(clear ? {} : filter) };
+        toolbar.refresh();
+        refreshViews();
+      },
+    });
+    if (!kpiStrip) {
+      header.after(next.element);
+    } else if (next.element.outerHTML !== kpiStrip.element.outerHTML) {
+      kpiStrip.element.replaceWith(next.element);
+    } else {
+      return;
+    }
+    kpiStrip = next;
+  };
+  renderKpis();
+
+  // Snapshot comparison, from the file picker or a file dropped on the block
+  const comparisonEl = document.createElement('section');
+  comparisonEl.className = 'co-innovation-comparison';
+  comparisonEl.setAttribute('aria-label', 'Changes since snapshot');
+  comparisonEl.hidden = true;
+  chartContainer.before(comparisonEl);
+
+  const showComparison = (comparison) => {
+    model.comparison = comparison;
+    renderComparison(model, comparisonEl, openPanel);
+    renderActiveChart();
+  };
+
+  // Highlight projects that moved stage or status, then let them settle
+  let highlightTimeout;
+  const highlightChanges = (ids) => {
+    clearTimeout(highlightTimeout);
+    model.recentlyChanged = ids;
+    highlightTimeout = setTimeout(() => {
+      model.recentlyChanged = new Set();
+      block.querySelectorAll('.recently-changed, .node-changed').forEach((el) => {
+        el.classList.remove('recently-changed', 'node-changed');
+      });
+    }, CHANGE_HIGHLIGHT_MS);
+  };
+
+  // Replace the data behind every view, keeping the filter and open panel;
+  // a refresh of the published sheets also highlights what changed
+  const applySheets = (nextSheets, { highlight = false } = {}) => {
+    const processChanged = JSON.stringify(nextSheets.processRows)
+      !== JSON.stringify(sheets.processRows);
+    const previousProjects = model.projects;
+    sheets = nextSheets;
+    model.coInnovationProcess = mapProcessRows(sheets.processRows);
+    model.projects = mapProjectRows(sheets.projectRows, sheets.historyRows);
+    const changes = getProjectChanges(previousProjects, model.projects);
+    if (highlight) highlightChanges(changes.moved);
+
+    updateSubtitle();
+    renderDiagnostics();
+    if (processChanged) {
+      renderToolbar();
+    } else {
+      toolbar.refresh();
+    }
+    renderKpis();
+    if (model.comparison && model.comparison.previous) {
+      model.comparison.diff = diffSnapshots(model.comparison.previous, model.projects);
+      renderComparison(model, comparisonEl, openPanel);
+    }
+    refreshViews(processChanged ? null : changes);
+  };
+
+  const loadSnapshot = async (file) => {
+    const date = getSnapshotDate(file.name)
+      || formatISODate(new Date(file.lastModified || Date.now()));
+    try {
+      const previous = parseSnapshot(await file.text(), file.name);
+      showComparison({
+        name: file.name, date, previous, diff: diffSnapshots(previous, model.projects),
+      });
+    } catch (error) {
+      showComparison({ name: file.name, error: error.message });
+    }
+  };
+
+  comparisonEl.addEventListener('click', (e) => {
+    if (e.target.closest('.comparison-clear')) showComparison(null);
+  });
+
+  const compareInput = header.querySelector('.co-innovation-compare-input');
+  header.querySelector('.co-innovation-compare-btn').addEventListener('click', () => compareInput.click());
+  compareInput.addEventListener('change', () => {
+    if (compareInput.files[0]) loadSnapshot(compareInput.files[0]);
+    compareInput.value = '';
+  });
+
+  const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+  block.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    block.classList.add('drop-target');
+  });
+  block.addEventListener('dragleave', (e) => {
+    if (!block.contains(e.relatedTarget)) block.classList.remove('drop-target');
+  });
+  block.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    block.classList.remove('drop-target');
+    if (e.dataTransfer.files[0]) loadSnapshot(e.dataTransfer.files[0]);
+  });
+
+  // Local preview of sheet CSVs for authors, before they publish the sheets;
+  // published keeps the sheets to go back to while a preview is shown
+  let published = null;
+  if (isAuthorEnvironment()) {
+    const imported = new Map();
+    const sheetRows = { process: 'processRows', projects: 'projectRows', history: 'historyRows' };
+
+    const importBtn = document.createElement('button');
+    importBtn.type = 'button';
+    importBtn.className = 'co-innovation-import-btn';
+    importBtn.setAttribute('aria-expanded', 'false');
+    importBtn.textContent = 'Preview CSV';
+    header.querySelector('.co-innovation-compare-btn').before(importBtn);
+
+    const importEl = document.createElement('section');
+    importEl.className = 'co-innovation-import';
+    importEl.setAttribute('aria-label', 'Sheet preview');
+    importEl.hidden = true;
+    importEl.innerHTML = `
+      <div class="import-drop-zone">
+        <p>Drop a process, projects or history sheet CSV here to preview the dashboard with it.</p>
+        <button type="button" class="import-choose">Choose CSV</button>
+        <input type="file" class="import-input" accept=".csv,text/csv" hidden>
+      </div>
+      <div class="import-status" role="status"></div>
+    `;
+    comparisonEl.before(importEl);
+    const dropZone = importEl.querySelector('.import-drop-zone');
+    const status = importEl.querySelector('.import-status');
+
+    const renderImportStatus = (error) => {
+      if (error) {
+        status.innerHTML = `<p class="import-error" role="alert">${escapeHTML(error)}</p>`;
+        return;
+      }
+      if (imported.size === 0) {
+        status.innerHTML = '';
+        return;
+      }
+      status.innerHTML = `
+        <p class="import-banner">Previewing local data — not published. Other visitors still see the published sheets.</p>
+        <ul class="import-files">
+          ${[...imported].map(([sheet, { name, rows }]) => `
+            <li class="import-file">
+              <span class="import-file-name">${escapeHTML(name)}</span>
+              <span class="import-file-meta">${sheet} sheet · ${rows.length} row${rows.length !== 1 ? 's' : ''}</span>
+              <button type="button" class="import-download" data-sheet="${sheet}">Download JSON</button>
+            </li>
+          `).join('')}
+        </ul>
+        <button type="button" class="import-discard">Discard preview</button>
+      `;
+    };
+
+    const importFile = async (file) => {
+      try {
+        const { sheet, rows } = readSheetCSV(await file.text());
+        imported.set(sheet, { name: file.name, rows });
+        if (!published) published = sheets;
+        // A diff against the previous data no longer describes what is shown
+        if (model.comparison) showComparison(null);
+        applySheets({ ...sheets, [sheetRows[sheet]]: rows });
+        renderImportStatus();
+      } catch (error) {
+        renderImportStatus(`Could not preview ${file.name}: ${error.message}`);
+      }
+    };
+
+    importBtn.addEventListener('click', () => {
+      importEl.hidden = !importEl.hidden;
+      importBtn.setAttribute('aria-expanded', !importEl.hidden);
+    });
+
+    const importInput = importEl.querySelector('.import-input');
+    importEl.querySelector('.import-choose').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      if (importInput.files[0]) importFile(importInput.files[0]);
+      importInput.value = '';
+    });
+
+    // Files dropped here are sheets to preview, not snapshots to compare
+    dropZone.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      dropZone.classList.add('drop-target');
+    });
+    dropZone.addEventListener('dragleave', (e) => {
+      if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove('drop-target');
+    });
+    dropZone.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      dropZone.classList.remove('drop-target');
+      block.classList.remove('drop-target');
+      if (e.dataTransfer.files[0]) importFile(e.dataTransfer.files[0]);
+    });
+
+    status.addEventListener('click', (e) => {
+      const download = e.target.closest('.import-download');
+      if (download) {
+        const { name, rows } = imported.get(download.dataset.sheet);
+        const filename = /\.csv$/i.test(name) ? name.replace(/\.csv$/i, '.json') : `${name}.json`;
+        downloadFile(toSheetJSON(rows), filename, 'application/json');
+      } else if (e.target.closest('.import-discard')) {
+        imported.clear();
+        if (model.comparison) showComparison(null);
+        applySheets(published);
+        published = null;
+        renderImportStatus();
+      }
+    });
+  }
+
+  applyUrlState();
+
+  // Show newly fetched published sheets; during a local preview they are
+  // kept for when the preview is discarded
+  const applyFetched = (next) => {
+    if (published) {
+      published = next;
+    } else if (JSON.stringify(next) !== JSON.stringify(sheets)) {
+      applySheets(next, { highlight: true });
+    }
+    if (savedAt) {
+      savedAt = null;
+      renderOffline();
+    }
+  };
+
+  // Retry the network after rendering the offline copy
+  const retryBtn = () => offlineEl.querySelector('.offline-retry');
+  const retry = async () => {
+    if (!retryBtn() || retryBtn().disabled) return;
+    retryBtn().disabled = true;
+    retryBtn().textContent = 'Retrying…';
+    try {
+      applyFetched((await fetchData(config, { revalidate: true })).sheets);
+    } catch (error) {
+      renderOffline('Still unable to load the latest data. Check your connection and try again.');
+    }
+  };
+  offlineEl.addEventListener('click', (e) => {
+    if (e.target.closest('.offline-retry')) retry();
+  });
+  window.addEventListener('online', () => {
+    if (savedAt) retry();
   });
 
-  // Create the flowchart (desktop)
-  createFlowchart(chartWrapper, handleNodeClick);
+  // Optional polling of the published sheets. Conditional requests keep
+  // unchanged sheets cheap; polling pauses while the page is hidden, skips
+  // while a local preview is shown and stops once the block is removed, and
+  // a failed refresh keeps the data shown.
+  if (config.refreshInterval > 0) {
+    const polling = new AbortController();
+    let pollTimeout = null;
+    // True while a refresh is in flight; it schedules the next one itself
+    let pollRunning = false;
+    const poll = async () => {
+      pollTimeout = null;
+      if (!block.isConnected) {
+        polling.abort();
+        return;
+      }
+      pollRunning = true;
+      if (!published) {
+        try {
+          applyFetched((await fetchData(config, { revalidate: true })).sheets);
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('Could not refresh co-innovation data:', error);
+        }
+      }
+      pollRunning = false;
+      clearTimeout(pollTimeout);
+      pollTimeout = document.visibilityState !== 'hidden'
+        ? setTimeout(poll, config.refreshInterval) : null;
+    };
+    document.addEventListener('visibilitychange', () => {
+      clearTimeout(pollTimeout);
+      pollTimeout = !pollRunning && document.visibilityState !== 'hidden'
+        ? setTimeout(poll, config.refreshInterval) : null;
+    }, { signal: polling.signal });
+    pollTimeout = setTimeout(poll, config.refreshInterval);
+  }
 
-  // Create mobile list view
-  createMobileList(chartContainer, handleNodeClick);
+  // Fit the flowchart to its container as that resizes, moving the nodes
+  // so focus, hover and the selected step survive
+  new ResizeObserver(() => {
+    if (flowchart && activeView === 'flowchart') flowchart.relayout();
+  }).observe(chartWrapper);
 
-  // Handle resize
+  // The timeline is redrawn for the new width; the report does not depend
+  // on it, and printing resizes the page. The flowchart's height follows the
+  // window's, which the observer above does not see.
   let resizeTimeout;
   window.addEventListener('resize', () => {
     clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      createFlowchart(chartWrapper, handleNodeClick);
-    }, 250);
+    if (activeView === 'timeline') resizeTimeout = setTimeout(renderActiveChart, 250);
+    if (flowchart && activeView === 'flowchart') flowchart.relayout();
   });
 }
@@ -0,0 +1,69 @@
+/**
+ * CSV reading for the co-innovation block.
+ * Handles quoted fields with commas, doubled quotes and line breaks,
+ * CRLF line endings and a leading byte order mark.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @returns {Array} Rows, each an array of field strings; blank lines are skipped
+ */
+export function parseCSV(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Turn parsed CSV rows into objects keyed by the header row
+ * @param {Array} rows - Rows from parseCSV, header first
+ * @returns {Array} One object per data row, with trimmed header keys
+ */
+export function toRecords(rows) {
+  if (rows.length === 0) return [];
+  const headers = rows[0].map((header) => header.trim());
+  return rows.slice(1).map((cells) => Object.fromEntries(
+    headers.map((header, i) => [header, cells[i] ?? '']),
+  ));
+}
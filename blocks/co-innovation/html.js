@@ -0,0 +1,103 @@
+/**
+ * Safe HTML helpers for the co-innovation block.
+ * Sheet values are authored text, so everything is escaped before it goes
+ * into a template; only bold and links survive, and only from formatInline.
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string, empty for null or undefined
+ */
+export function escapeHTML(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+/**
+ * Reverse escapeHTML, for values captured from already escaped text
+ * @param {string} value - Escaped string
+ * @returns {string} Original string
+ */
+function unescapeHTML(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Check a link target against the allowed protocols
+ * @param {string} href - Link target as authored
+ * @returns {URL|null} Resolved URL, null for javascript:, data: and the like
+ */
+function resolveSafeURL(href) {
+  try {
+    const url = new URL(href.trim(), window.location.href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build a link from an escaped label and an escaped target
+ * @param {string} label - Escaped link text
+ * @param {string} href - Escaped link target
+ * @returns {string} Link markup, or the label alone if the target is unsafe
+ */
+function renderLink(label, href) {
+  const url = resolveSafeURL(unescapeHTML(href));
+  if (!url) return label;
+  const external = url.origin !== window.location.origin;
+  return `<a href="${escapeHTML(url.href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${label}</a>`;
+}
+
+/**
+ * Replace matches in HTML text, leaving the markup of rendered tags alone
+ * so that a link target cannot pick up more markup
+ * @param {string} html - Safe HTML
+ * @param {RegExp} pattern - Pattern to replace
+ * @param {Function} replacer - Replacement for each match, given its groups
+ * @returns {string} Safe HTML
+ */
+function replaceText(html, pattern, replacer) {
+  return html.replace(
+    new RegExp(`<[^>]*>|${pattern.source}`, pattern.flags),
+    (match, ...groups) => (match.startsWith('<') ? match : replacer(match, ...groups)),
+  );
+}
+
+/**
+ * Escape authored text, then allow bold and links back in.
+ * Recognised: **bold**, <b>bold</b>, <strong>bold</strong>,
+ * [label](url) and <a href="url">label</a> with http(s) and mailto targets.
+ * @param {*} value - Authored text
+ * @returns {string} Safe HTML
+ */
+export function formatInline(value) {
+  const withLinks = replaceText(
+    escapeHTML(value)
+      .replace(/&lt;a href=(?:&quot;|&#39;)(.+?)(?:&quot;|&#39;)&gt;(.+?)&lt;\/a&gt;/gi, (match, href, label) => renderLink(label, href)),
+    /\[([^\]<]+)\]\(([^)\s<]+)\)/g,
+    (match, label, href) => renderLink(label, href),
+  );
+  // Bold may wrap a link, but never starts or ends inside a tag
+  return replaceText(
+    withLinks.replace(/&lt;(b|strong)&gt;(.+?)&lt;\/\1&gt;/gi, '<strong>$2</strong>'),
+    /\*\*((?:<[^>]*>|[^<])+?)\*\*/g,
+    (match, text) => `<strong>${text}</strong>`,
+  );
+}
@@ -0,0 +1,200 @@
+/**
+ * Portfolio KPIs for the co-innovation block.
+ * Summarises the projects against the process (blocked share, progress,
+ * stage funnel, gateway conversion) and renders them as a strip of filters.
+ */
+
+import { buildGraph } from './layout.js';
+
+/**
+ * Count how projects left each gateway, using their stage history
+ * @param {Array} steps - Process steps
+ * @param {Array} projects - Projects with stage history
+ * @returns {Array} Per gateway: { step, passed, returned, pending, conversion }
+ */
+function computeGatewayConversion(steps, projects) {
+  const graph = buildGraph(steps);
+  const flowIndex = new Map(graph.nodes.map((node, i) => [node.id, i]));
+  const backEdges = new Set(graph.edges.filter((edge) => edge.back)
+    .map((edge) => `${edge.source}>${edge.target}`));
+  // A move is a return when it follows a loop in the process or goes upstream
+  const isReturn = (from, to) => backEdges.has(`${from}>${to}`)
+    || flowIndex.get(to) <= flowIndex.get(from);
+
+  return graph.nodes.filter((step) => step.type === 'gateway').map((step) => {
+    let passed = 0;
+    let returned = 0;
+    let pending = 0;
+
+    projects.forEach((project) => {
+      const moves = project.history.slice(1)
+        .map((entry, i) => [project.history[i].stage, entry.stage])
+        .filter(([from, to]) => from === step.id && flowIndex.has(to));
+      if (moves.some(([from, to]) => !isReturn(from, to))) {
+        passed += 1;
+      } else if (moves.length === 0 && project.history.length === 0
+        && flowIndex.get(project.currentStage) > flowIndex.get(step.id)) {
+        // Without history, a project further along must have passed
+        passed += 1;
+      }
+      if (moves.some(([from, to]) => isReturn(from, to))) returned += 1;
+      if (project.currentStage === step.id) pending += 1;
+    });
+
+    const decided = passed + returned;
+    return {
+      step,
+      passed,
+      returned,
+      pending,
+      conversion: decided > 0 ? Math.round((passed / decided) * 100) : null,
+    };
+  });
+}
+
+/**
+ * Compute the portfolio KPIs
+ * @param {Array} steps - Process steps
+ * @param {Array} projects - All projects
+ * @returns {Object} Totals, per-stage funnel and gateway conversion
+ */
+export function computeKpis(steps, projects) {
+  const total = projects.length;
+  const blocked = projects.filter((p) => p.status === 'blocked').length;
+  const averageProgress = total > 0
+    ? Math.round(projects.reduce((sum, p) => sum + p.progress, 0) / total)
+    : 0;
+
+  // Funnel: how many projects are at or beyond each stage of the flow
+  const { nodes } = buildGraph(steps);
+  const flowIndex = new Map(nodes.map((node, i) => [node.id, i]));
+  const stages = nodes.map((step, i) => ({
+    step,
+    count: projects.filter((p) => p.currentStage === step.id).length,
+    reached: projects.filter((p) => flowIndex.get(p.currentStage) >= i).length,
+  }));
+
+  return {
+    total,
+    blocked,
+    blockedShare: total > 0 ? Math.round((blocked / total) * 100) : 0,
+    averageProgress,
+    stages,
+    gateways: computeGatewayConversion(steps, projects),
+  };
+}
+
+/**
+ * Create a KPI button that applies a filter
+ * @param {string} className - Extra class name
+ * @param {string} label - Visible label
+ * @param {string} value - Visible value
+ * @param {string} description - Accessible description of the filter
+ * @returns {Element} The button
+ */
+function createKpiButton(className, label, value, description) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `kpi ${className}`;
+  button.title = description;
+
+  const valueEl = document.createElement('span');
+  valueEl.className = 'kpi-value';
+  valueEl.textContent = value;
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'kpi-label';
+  labelEl.textContent = label;
+
+  button.append(valueEl, labelEl);
+  return button;
+}
+
+/**
+ * Create the KPI strip
+ * @param {Object} kpis - KPIs from computeKpis
+ * @param {Object} handlers - onFilter(filter) applies a partial filter,
+ *   isActive(filter) tells whether it is the filter in use
+ * @returns {Object} The strip element and an update method for the pressed state
+ */
+export function createKpiStrip(kpis, { onFilter, isActive }) {
+  const strip = document.createElement('section');
+  strip.className = 'co-innovation-kpis';
+  strip.setAttribute('aria-label', 'Portfolio summary');
+
+  const buttons = [];
+  const bind = (button, filter) => {
+    button.addEventListener('click', () => onFilter(filter));
+    buttons.push({ button, filter });
+    return button;
+  };
+
+  const totals = document.createElement('div');
+  totals.className = 'kpi-totals';
+  totals.append(
+    bind(createKpiButton('kpi-total', 'Projects', String(kpis.total), 'Show all projects'), {}),
+    bind(createKpiButton('kpi-blocked', 'Blocked', `${kpis.blockedShare}%`, `Show the ${kpis.blocked} blocked projects`), { status: 'blocked' }),
+    bind(createKpiButton('kpi-progress', 'Average Progress', `${kpis.averageProgress}%`, 'Show projects at or below average progress'), { maxProgress: kpis.averageProgress }),
+  );
+
+  // Funnel of projects reaching each stage, widest at the entry point
+  const funnel = document.createElement('div');
+  funnel.className = 'kpi-funnel';
+  const funnelTitle = document.createElement('h3');
+  funnelTitle.className = 'kpi-heading';
+  funnelTitle.textContent = 'Stage Funnel';
+  funnel.append(funnelTitle);
+  kpis.stages.forEach(({ step, count, reached }) => {
+    const row = bind(document.createElement('button'), { stage: step.id });
+    row.type = 'button';
+    row.className = `kpi-funnel-row ${step.type}`;
+    row.title = `${reached} project${reached !== 1 ? 's' : ''} reached ${step.title}, ${count} there now. Show them.`;
+
+    const label = document.createElement('span');
+    label.className = 'kpi-funnel-label';
+    label.textContent = step.title;
+
+    const track = document.createElement('span');
+    track.className = 'kpi-funnel-track';
+    const bar = document.createElement('span');
+    bar.className = 'kpi-funnel-bar';
+    bar.style.width = `${kpis.total > 0 ? Math.max(2, (reached / kpis.total) * 100) : 0}%`;
+    track.append(bar);
+
+    const value = document.createElement('span');
+    value.className = 'kpi-funnel-count';
+    value.textContent = count;
+
+    row.append(label, track, value);
+    funnel.append(row);
+  });
+
+  const gateways = document.createElement('div');
+  gateways.className = 'kpi-gateways';
+  const gatewaysTitle = document.createElement('h3');
+  gatewaysTitle.className = 'kpi-heading';
+  gatewaysTitle.textContent = 'Gateway Conversion';
+  gateways.append(gatewaysTitle);
+  kpis.gateways.forEach(({
+    step, passed, returned, pending, conversion,
+  }) => {
+    const button = bind(createKpiButton(
+      'kpi-gateway',
+      `${step.title}: ${passed} passed, ${returned} sent back, ${pending} waiting`,
+      conversion === null ? '–' : `${conversion}%`,
+      `Show the ${pending} project${pending !== 1 ? 's' : ''} waiting at ${step.title}`,
+    ), { stage: step.id });
+    gateways.append(button);
+  });
+
+  strip.append(totals, funnel, gateways);
+
+  const update = () => {
+    buttons.forEach(({ button, filter }) => {
+      button.setAttribute('aria-pressed', isActive(filter));
+    });
+  };
+  update();
+
+  return { element: strip, update };
+}
@@ -0,0 +1,262 @@
+/**
+ * Flowchart layout engine for the co-innovation block.
+ * Builds a directed graph from the steps' nextSteps and places the nodes
+ * in a serpentine grid that wraps to as many rows as the width requires.
+ */
+
+/**
+ * Build a directed graph from the process steps
+ * @param {Array} steps - Process steps in sheet order
+ * @returns {Object} Graph with nodes in flow order and classified edges
+ */
+export function buildGraph(steps) {
+  const sheetIndex = new Map(steps.map((step, i) => [step.id, i]));
+  const edges = [];
+
+  steps.forEach((step) => {
+    (step.nextSteps || []).forEach((targetId, branch) => {
+      if (sheetIndex.has(targetId)) {
+        edges.push({
+          source: step.id, target: targetId, branch, back: false,
+        });
+      }
+    });
+  });
+
+  const outgoing = new Map(steps.map((step) => [step.id, []]));
+  edges.forEach((edge) => outgoing.get(edge.source).push(edge));
+
+  // Depth-first walk in sheet order: an edge pointing at a step that is
+  // still on the stack closes a loop and is drawn as a back-edge
+  const state = new Map();
+  const visit = (id) => {
+    state.set(id, 'active');
+    outgoing.get(id).forEach((edge) => {
+      const targetState = state.get(edge.target);
+      if (targetState === 'active') {
+        edge.back = true;
+      } else if (!targetState) {
+        visit(edge.target);
+      }
+    });
+    state.set(id, 'done');
+  };
+  steps.forEach((step) => {
+    if (!state.has(step.id)) visit(step.id);
+  });
+
+  // Topological order over forward edges, ties broken by sheet order
+  const inDegree = new Map(steps.map((step) => [step.id, 0]));
+  edges.filter((edge) => !edge.back).forEach((edge) => {
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+  const ready = steps.filter((step) => inDegree.get(step.id) === 0);
+  const nodes = [];
+  while (ready.length > 0) {
+    ready.sort((a, b) => sheetIndex.get(a.id) - sheetIndex.get(b.id));
+    const step = ready.shift();
+    nodes.push(step);
+    outgoing.get(step.id).filter((edge) => !edge.back).forEach((edge) => {
+      inDegree.set(edge.target, inDegree.get(edge.target) - 1);
+      if (inDegree.get(edge.target) === 0) ready.push(steps[sheetIndex.get(edge.target)]);
+    });
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Place graph nodes on a serpentine grid sized to the available width
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} options - Width and node/gap dimensions
+ * @returns {Object} Positions keyed by step id, grid size and SVG height
+ */
+export function computeLayout(graph, options) {
+  const {
+    width, nodeWidth, nodeHeight, horizontalGap, verticalGap, padding,
+  } = options;
+  const count = graph.nodes.length;
+
+  // Balance the rows so 8 steps at 5 columns become 4+4 rather than 5+3
+  const maxColumns = Math.max(1, Math.floor((width - 2 * padding + horizontalGap)
+    / (nodeWidth + horizontalGap)));
+  const rows = Math.max(1, Math.ceil(count / maxColumns));
+  const columns = Math.max(1, Math.ceil(count / rows));
+
+  const rowWidth = columns * nodeWidth + (columns - 1) * horizontalGap;
+  const startX = (width - rowWidth) / 2;
+
+  const positions = new Map();
+  graph.nodes.forEach((node, i) => {
+    const row = Math.floor(i / columns);
+    const offset = i % columns;
+    // Odd rows run right to left so the flow snakes down the page
+    const column = row % 2 === 0 ? offset : columns - 1 - offset;
+    positions.set(node.id, {
+      x: startX + column * (nodeWidth + horizontalGap),
+      y: padding + row * (nodeHeight + verticalGap),
+      row,
+      column,
+      type: node.type,
+    });
+  });
+
+  return {
+    positions,
+    rows,
+    columns,
+    left: startX,
+    right: startX + rowWidth,
+    height: 2 * padding + rows * nodeHeight + (rows - 1) * verticalGap,
+  };
+}
+
+/**
+ * Get the y offset where a vertical line at offsetX meets a node's outline
+ * @param {Object} pos - Node position (carries the step type)
+ * @param {number} offsetX - Horizontal offset inside the node
+ * @param {string} side - 'top' or 'bottom'
+ * @param {Object} options - Node dimensions
+ * @returns {number} Vertical offset inside the node
+ */
+function outlineY(pos, offsetX, side, options) {
+  const { nodeWidth, nodeHeight } = options;
+  if (pos.type !== 'gateway') return side === 'top' ? 0 : nodeHeight;
+  const halfW = nodeWidth / 2;
+  const halfH = nodeHeight / 2;
+  const dy = halfH * (1 - Math.abs(offsetX - halfW) / halfW);
+  return side === 'top' ? halfH - dy : halfH + dy;
+}
+
+/**
+ * Check whether an edge joins two neighbouring slots of the serpentine
+ * @param {Object} from - Source position
+ * @param {Object} to - Target position
+ * @returns {boolean} True if a straight connector can be drawn
+ */
+function isAdjacent(from, to) {
+  if (from.row === to.row) return Math.abs(from.column - to.column) === 1;
+  return from.column === to.column && to.row === from.row + 1;
+}
+
+/**
+ * Route a straight connector between neighbouring nodes
+ * @param {Object} from - Source position
+ * @param {Object} to - Target position
+ * @param {Object} options - Node dimensions
+ * @returns {Object} SVG path data and label anchor
+ */
+function routeDirect(from, to, options) {
+  const { nodeWidth, nodeHeight } = options;
+  const arrowGap = 10;
+
+  if (from.row === to.row) {
+    const y = from.y + nodeHeight / 2;
+    const startX = to.x > from.x ? from.x + nodeWidth : from.x;
+    const endX = to.x > from.x ? to.x - arrowGap : to.x + nodeWidth + arrowGap;
+    return {
+      d: `M${startX},${y} L${endX},${y}`,
+      label: { x: (startX + endX) / 2, y: y - 14, anchor: 'middle' },
+    };
+  }
+
+  const x = from.x + nodeWidth / 2;
+  const startY = from.y + nodeHeight;
+  const endY = to.y - arrowGap;
+  return {
+    d: `M${x},${startY} L${x},${endY}`,
+    label: { x: x + 8, y: (startY + endY) / 2, anchor: 'start' },
+  };
+}
+
+/**
+ * Route a connector around the nodes through the lane under a row and,
+ * when it has to change rows, through a gutter beside the grid
+ * @param {Object} from - Source position
+ * @param {Object} to - Target position
+ * @param {number} lane - Lane index, inner lanes first
+ * @param {Object} layout - Layout from computeLayout
+ * @param {Object} options - Node and gap dimensions
+ * @returns {Object} SVG path data and label anchor
+ */
+function routeAround(from, to, lane, layout, options) {
+  const { nodeWidth, nodeHeight } = options;
+  const arrowGap = 10;
+  const laneOffset = 24 + lane * layout.laneSpacing;
+  const laneY = (row) => options.padding + row * (nodeHeight + options.verticalGap)
+    + nodeHeight + laneOffset;
+
+  // Leave left of centre and arrive right of centre so the straight
+  // connectors, which use the centre line, stay clear
+  const startX = from.x + nodeWidth * 0.3;
+  const startY = from.y + outlineY(from, nodeWidth * 0.3, 'bottom', options);
+  const endX = to.x + nodeWidth * 0.7;
+  const entersBelow = to.row <= from.row;
+  const endY = entersBelow
+    ? to.y + outlineY(to, nodeWidth * 0.7, 'bottom', options) + arrowGap
+    : to.y + outlineY(to, nodeWidth * 0.7, 'top', options) - arrowGap;
+
+  const points = [[startX, startY], [startX, laneY(from.row)]];
+  const targetLaneRow = entersBelow ? to.row : to.row - 1;
+  if (targetLaneRow !== from.row) {
+    const useLeft = from.column + to.column < layout.columns - 1;
+    const gutterX = useLeft
+      ? layout.left - 20 - lane * layout.laneSpacing
+      : layout.right + 20 + lane * layout.laneSpacing;
+    points.push([gutterX, laneY(from.row)], [gutterX, laneY(targetLaneRow)]);
+  }
+  points.push([endX, laneY(targetLaneRow)], [endX, endY]);
+
+  return {
+    d: points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x},${y}`).join(' '),
+    label: { x: startX - 6, y: from.y + nodeHeight + 10, anchor: 'end' },
+  };
+}
+
+/**
+ * Route every edge of the graph
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} layout - Layout from computeLayout
+ * @param {Object} options - Node and gap dimensions
+ * @returns {Array} Edges extended with path data, label anchor and routing kind
+ */
+export function routeEdges(graph, layout, options) {
+  const { positions } = layout;
+  const span = (edge) => {
+    const from = positions.get(edge.source);
+    const to = positions.get(edge.target);
+    return Math.abs(from.row - to.row) * layout.columns + Math.abs(from.column - to.column);
+  };
+
+  const direct = graph.edges.filter((edge) => !edge.back
+    && isAdjacent(positions.get(edge.source), positions.get(edge.target)));
+  const around = graph.edges.filter((edge) => !direct.includes(edge))
+    .sort((a, b) => span(a) - span(b));
+
+  const laneSpacing = Math.min(12, (options.verticalGap - 40) / Math.max(1, around.length));
+  const routed = { ...layout, laneSpacing };
+
+  return [
+    ...direct.map((edge) => ({
+      ...edge,
+      routing: 'direct',
+      ...routeDirect(positions.get(edge.source), positions.get(edge.target), options),
+    })),
+    ...around.map((edge, lane) => ({
+      ...edge,
+      routing: 'around',
+      ...routeAround(positions.get(edge.source), positions.get(edge.target), lane, routed, options),
+    })),
+  ];
+}
+
+/**
+ * Measure the width available to a chart
+ * @param {Element} container - The container element
+ * @returns {number} Content width in pixels, 0 while the container is hidden
+ */
+export function getContentWidth(container) {
+  const style = window.getComputedStyle(container);
+  const padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+  return Math.max(0, container.clientWidth - padding);
+}
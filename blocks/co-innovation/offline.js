@@ -0,0 +1,88 @@
+/**
+ * Offline copies of the co-innovation data.
+ * Keeps the last workbook loaded from each data URL in Cache Storage, so
+ * the block can still render it when the network fails.
+ */
+
+const CACHE_NAME = 'co-innovation-data';
+
+/**
+ * Sheets known to be stored for each data URL, so the stored copy is only
+ * read back once per page view
+ */
+const savedContent = new Map();
+
+/**
+ * Get the cache key for the copy of a workbook. It is not the data URL
+ * itself, so caches.match() for the sheet never returns the copy; a query
+ * parameter is used as Cache Storage ignores fragments.
+ * @param {string} url - Spreadsheet JSON URL
+ * @returns {string} Cache key
+ */
+function getSnapshotKey(url) {
+  const key = new URL(url, window.location.href);
+  key.searchParams.set('co-innovation-snapshot', '1');
+  return key.href;
+}
+
+/**
+ * Open the data cache
+ * @returns {Promise<Cache|null>} The cache, null where Cache Storage is
+ *   unavailable (insecure contexts, some private browsing modes)
+ */
+async function openCache() {
+  if (!window.caches) return null;
+  try {
+    return await window.caches.open(CACHE_NAME);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep a copy of a successfully loaded workbook, unless the stored copy
+ * already holds the same data
+ * @param {string} url - Spreadsheet JSON URL
+ * @param {Object} sheets - Rows keyed by sheet name, from fetchWorkbook
+ * @returns {Promise<void>} Resolves once stored; failures are ignored
+ */
+export async function saveWorkbook(url, sheets) {
+  const content = JSON.stringify(sheets);
+  if (savedContent.get(url) === content) return;
+  const cache = await openCache();
+  if (!cache) return;
+  try {
+    const stored = await cache.match(getSnapshotKey(url));
+    if (stored && JSON.stringify((await stored.json()).sheets) === content) {
+      savedContent.set(url, content);
+      return;
+    }
+    const body = JSON.stringify({ savedAt: new Date().toISOString(), sheets });
+    await cache.put(getSnapshotKey(url), new Response(body, {
+      headers: { 'Content-Type': 'application/json' },
+    }));
+    savedContent.set(url, content);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn(`Could not keep an offline copy of ${url}:`, error);
+  }
+}
+
+/**
+ * Read the copy of a workbook kept by saveWorkbook
+ * @param {string} url - Spreadsheet JSON URL
+ * @returns {Promise<Object|null>} The sheets and the Date they were saved,
+ *   null if there is no copy
+ */
+export async function loadWorkbook(url) {
+  const cache = await openCache();
+  if (!cache) return null;
+  try {
+    const response = await cache.match(getSnapshotKey(url));
+    if (!response) return null;
+    const { savedAt, sheets } = await response.json();
+    return { sheets, savedAt: new Date(savedAt) };
+  } catch (error) {
+    return null;
+  }
+}
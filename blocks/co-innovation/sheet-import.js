@@ -0,0 +1,51 @@
+/**
+ * Sheet CSV import for the co-innovation block.
+ * Recognises which sheet a CSV holds from its header row and converts it
+ * to the { data: [...] } JSON the block loads, so authors can preview a
+ * change locally before publishing the sheet.
+ */
+
+import { parseCSV, toRecords } from './csv.js';
+
+/**
+ * Columns that identify each sheet
+ */
+const SHEET_COLUMNS = {
+  process: ['id', 'title', 'type', 'nextSteps'],
+  projects: ['id', 'name', 'currentStage', 'status'],
+  history: ['project', 'stage', 'date'],
+};
+
+/**
+ * Read a sheet CSV
+ * @param {string} text - CSV content
+ * @returns {Object} The sheet name (process, projects or history) and its rows
+ */
+export function readSheetCSV(text) {
+  const rows = parseCSV(text);
+  if (rows.length < 2) throw new Error('The file has no data rows.');
+
+  const headers = rows[0].map((header) => header.trim());
+  const sheet = Object.keys(SHEET_COLUMNS)
+    .find((name) => SHEET_COLUMNS[name].every((column) => headers.includes(column)));
+  if (!sheet) {
+    const expected = Object.entries(SHEET_COLUMNS)
+      .map(([name, columns]) => `${name} (${columns.join(', ')})`).join(' or ');
+    throw new Error(`Unrecognised columns. Expected the ${expected} sheet columns.`);
+  }
+
+  // Cells stay strings, as in the published sheet JSON
+  const records = toRecords(rows).map((record) => Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [key, value.trim()]),
+  ));
+  return { sheet, rows: records };
+}
+
+/**
+ * Serialize rows as sheet JSON
+ * @param {Array} rows - Sheet rows
+ * @returns {string} JSON in the { data: [...] } form of the data folder
+ */
+export function toSheetJSON(rows) {
+  return `${JSON.stringify({ data: rows }, null, 2)}\n`;
+}
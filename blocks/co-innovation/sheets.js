@@ -0,0 +1,117 @@
+/**
+ * Spreadsheet JSON loader for the co-innovation block.
+ * Reads single-sheet and multi-sheet (":names") responses and follows
+ * the total/offset/limit pagination so large sheets arrive complete.
+ * Revalidation sends conditional requests (ETag/Last-Modified) to
+ * same-origin sheets, so an unchanged page costs a 304 and is served from
+ * memory; sheets on other origins are fetched in full.
+ */
+
+/**
+ * Name used for the rows of a single-sheet response
+ */
+export const DEFAULT_SHEET = 'data';
+
+/**
+ * Validators and content of fetched pages, keyed by page URL
+ */
+const pageCache = new Map();
+
+/**
+ * Fetch one page of a spreadsheet
+ * @param {string} url - Spreadsheet JSON URL
+ * @param {Object} [params] - Query parameters (sheet, offset, limit)
+ * @param {Object} [options] - revalidate: bypass the HTTP cache and, on
+ *   the same origin, send the page's validators, reusing the known content
+ *   on a 304
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function fetchPage(url, params = {}, { revalidate = false } = {}) {
+  const pageUrl = new URL(url, window.location.href);
+  Object.entries(params).forEach(([key, value]) => pageUrl.searchParams.set(key, value));
+
+  const cached = pageCache.get(pageUrl.href);
+  const headers = {};
+  // Validators are only sent to the page's own origin: on another origin
+  // these headers would make every poll a CORS preflight
+  if (revalidate && cached && pageUrl.origin === window.location.origin) {
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  }
+  const response = await fetch(pageUrl.href, revalidate ? { cache: 'no-store', headers } : {});
+  if (response.status === 304 && cached) return cached.json;
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${pageUrl.href}`);
+
+  const json = await response.json();
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+  if (etag || lastModified) pageCache.set(pageUrl.href, { etag, lastModified, json });
+  return json;
+}
+
+/**
+ * Fetch the pages of a sheet that the first response did not include
+ * @param {string} url - Spreadsheet JSON URL
+ * @param {Object} page - First page: { data, total, offset, limit }
+ * @param {string} [sheet] - Sheet name, for multi-sheet workbooks
+ * @param {Object} [options] - Fetch options, see fetchPage
+ * @returns {Promise<Array>} Every row of the sheet
+ */
+async function fetchRemainingRows(url, page, sheet, options = {}) {
+  const rows = [...(page.data || [])];
+  const total = Number(page.total) || rows.length;
+  const limit = Number(page.limit) || rows.length;
+  let offset = (Number(page.offset) || 0) + rows.length;
+
+  while (rows.length < total && limit > 0) {
+    const params = sheet ? { sheet, offset, limit } : { offset, limit };
+    // Pages depend on the previous offset, so they are fetched in turn
+    // eslint-disable-next-line no-await-in-loop
+    const next = await fetchPage(url, params, options);
+    // A request for one sheet may come back in single-sheet form
+    const nextPage = sheet && next[sheet] ? next[sheet] : next;
+    const data = (nextPage && nextPage.data) || [];
+    if (data.length === 0) break;
+    rows.push(...data);
+    offset += data.length;
+  }
+
+  return rows;
+}
+
+/**
+ * Fetch every row of every sheet in a spreadsheet
+ * @param {string} url - Spreadsheet JSON URL
+ * @param {Object} [options] - Fetch options, see fetchPage
+ * @returns {Promise<Object>} Rows keyed by sheet name; a single-sheet
+ *   response is returned under DEFAULT_SHEET
+ */
+export async function fetchWorkbook(url, options = {}) {
+  const json = await fetchPage(url, {}, options);
+  const names = json[':names'];
+
+  if (!Array.isArray(names)) {
+    return { [DEFAULT_SHEET]: await fetchRemainingRows(url, json, undefined, options) };
+  }
+
+  const sheets = await Promise.all(names
+    .map((name) => fetchRemainingRows(url, json[name] || {}, name, options)));
+  return Object.fromEntries(names.map((name, i) => [name, sheets[i]]));
+}
+
+/**
+ * Pick a sheet from loaded workbooks, by name first and then as the
+ * only sheet of its own URL
+ * @param {Array} workbooks - Entries of { url, sheets } from fetchWorkbook
+ * @param {string} name - Sheet name to look for (e.g. "projects")
+ * @param {string} [url] - URL configured for this sheet
+ * @returns {Array} Rows of the sheet, empty if not found
+ */
+export function pickSheet(workbooks, name, url) {
+  const own = workbooks.find((workbook) => workbook.url === url);
+  if (own && own.sheets[name]) return own.sheets[name];
+  const named = workbooks.find((workbook) => workbook.sheets[name]);
+  if (named) return named.sheets[name];
+  if (own && own.sheets[DEFAULT_SHEET]) return own.sheets[DEFAULT_SHEET];
+  return [];
+}
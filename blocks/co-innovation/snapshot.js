@@ -0,0 +1,133 @@
+/**
+ * Snapshot comparison for the co-innovation block.
+ * Reads a previous projects export (CSV or JSON) and diffs it against the
+ * current projects: stage moves, status flips, progress changes, new and
+ * removed projects.
+ */
+
+import { parseCSV, toRecords } from './csv.js';
+
+/**
+ * Snapshot columns, keyed by normalised header; covers both the sheet
+ * columns (currentStage) and the export headings (Current Stage)
+ */
+const FIELDS = {
+  id: 'id',
+  name: 'name',
+  currentstage: 'currentStage',
+  stage: 'currentStage',
+  status: 'status',
+  progress: 'progress',
+};
+
+/**
+ * Map a snapshot record to the fields the diff uses
+ * @param {Object} record - Row keyed by its original headers
+ * @returns {Object} Project with id, name, currentStage, status and progress
+ */
+function normalizeRecord(record) {
+  const project = {};
+  Object.entries(record).forEach(([header, value]) => {
+    const field = FIELDS[header.toLowerCase().replace(/[^a-z]/g, '')];
+    if (field && !(field in project)) project[field] = String(value ?? '').trim();
+  });
+  return {
+    id: project.id || '',
+    name: project.name || project.id || '',
+    currentStage: project.currentStage || '',
+    status: project.status || '',
+    progress: parseInt(project.progress, 10) || 0,
+  };
+}
+
+/**
+ * Parse a snapshot file
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to tell JSON from CSV
+ * @returns {Array} Snapshot projects
+ */
+export function parseSnapshot(text, filename) {
+  let records;
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    const json = JSON.parse(text);
+    // Multi-sheet export, single-sheet data or a bare array
+    if (Array.isArray(json)) {
+      records = json;
+    } else if (json.projects && Array.isArray(json.projects.data)) {
+      records = json.projects.data;
+    } else {
+      records = json.data || [];
+    }
+  } else {
+    records = toRecords(parseCSV(text));
+  }
+
+  const projects = records.map(normalizeRecord).filter((project) => project.id);
+  if (projects.length === 0) throw new Error('No projects with an ID were found in this file.');
+  return projects;
+}
+
+/**
+ * Read the snapshot date from an export file name
+ * @param {string} filename - File name such as co-innovation-projects-2026-09-01.csv
+ * @returns {string} The YYYY-MM-DD date, empty if the name has none
+ */
+export function getSnapshotDate(filename) {
+  const match = String(filename).match(/(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Compare a snapshot with the current projects
+ * @param {Array} previous - Snapshot projects
+ * @param {Array} current - Current projects
+ * @returns {Object} moved, statusChanged, progressChanged, added and removed lists
+ */
+export function diffSnapshots(previous, current) {
+  const before = new Map(previous.map((project) => [project.id, project]));
+  const currentIds = new Set(current.map((project) => project.id));
+  const diff = {
+    moved: [],
+    statusChanged: [],
+    progressChanged: [],
+    added: [],
+    removed: previous.filter((project) => !currentIds.has(project.id)),
+  };
+
+  current.forEach((project) => {
+    const old = before.get(project.id);
+    if (!old) {
+      diff.added.push(project);
+      return;
+    }
+    if (old.currentStage !== project.currentStage) {
+      diff.moved.push({ project, from: old.currentStage, to: project.currentStage });
+    }
+    if (old.status !== project.status) {
+      diff.statusChanged.push({ project, from: old.status, to: project.status });
+    }
+    if (old.progress !== project.progress) {
+      diff.progressChanged.push({
+        project, from: old.progress, to: project.progress, delta: project.progress - old.progress,
+      });
+    }
+  });
+
+  diff.progressChanged.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return diff;
+}
+
+/**
+ * Count the stage moves between each pair of stages
+ * @param {Object} diff - Diff from diffSnapshots
+ * @returns {Array} Entries of { from, to, count }
+ */
+export function getStageMovements(diff) {
+  const movements = new Map();
+  diff.moved.forEach(({ from, to }) => {
+    const key = `${from}>${to}`;
+    if (!movements.has(key)) movements.set(key, { from, to, count: 0 });
+    movements.get(key).count += 1;
+  });
+  return [...movements.values()];
+}
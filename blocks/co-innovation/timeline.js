@@ -0,0 +1,223 @@
+/**
+ * Timeline (Gantt) chart for the co-innovation block.
+ * Draws one row per project with a bar segment per stage it has been in,
+ * the stage's declared duration as a target band, and a today marker.
+ */
+
+import { getContentWidth } from './layout.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the timeline chart using D3.js
+ * @param {Element} container - The container element
+ * @param {Array} rows - One entry per project: { project, segments }, where each
+ *   segment has stage, title, start, end and an optional target { start, end }
+ * @param {Function} onSelect - Callback when a project bar or label is clicked,
+ *   or a label is activated from the keyboard
+ */
+export default function createTimeline(container, rows, onSelect) {
+  const { d3 } = window;
+  const width = getContentWidth(container) || 1200;
+  const margin = {
+    top: 40, right: 24, bottom: 24, left: 220,
+  };
+  const rowHeight = 32;
+  const barHeight = 14;
+  const bandHeight = 24;
+  const innerWidth = Math.max(200, width - margin.left - margin.right);
+  const innerHeight = Math.max(rowHeight, rows.length * rowHeight);
+  const height = margin.top + innerHeight + margin.bottom;
+  const now = new Date();
+
+  container.innerHTML = '';
+
+  if (rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'no-projects';
+    empty.textContent = 'No projects match the current filter.';
+    container.append(empty);
+    return;
+  }
+
+  // Time domain covers every segment and target band, plus today
+  const dates = [now];
+  rows.forEach(({ segments }) => segments.forEach((segment) => {
+    dates.push(segment.start, segment.end);
+    if (segment.target) dates.push(segment.target.end);
+  }));
+  const [minDate, maxDate] = d3.extent(dates);
+  const x = d3.scaleTime()
+    .domain([new Date(minDate - 7 * DAY_MS), new Date(maxDate.getTime() + 7 * DAY_MS)])
+    .range([0, innerWidth]);
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('class', 'co-innovation-timeline-svg')
+    .attr('width', '100%')
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('preserveAspectRatio', 'xMinYMin meet');
+
+  const clipId = `timeline-clip-${Math.random().toString(36).slice(2, 8)}`;
+  svg.append('defs')
+    .append('clipPath')
+    .attr('id', clipId)
+    .append('rect')
+    .attr('y', -margin.top)
+    .attr('width', innerWidth)
+    .attr('height', innerHeight + margin.top);
+
+  const root = svg.append('g')
+    .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+  // Zebra row backgrounds
+  root.selectAll('.timeline-row-bg')
+    .data(rows)
+    .enter()
+    .append('rect')
+    .attr('class', (d, i) => `timeline-row-bg${i % 2 ? ' odd' : ''}`)
+    .attr('x', -margin.left)
+    .attr('y', (d, i) => i * rowHeight)
+    .attr('width', innerWidth + margin.left)
+    .attr('height', rowHeight);
+
+  // Project labels
+  root.selectAll('.timeline-label')
+    .data(rows)
+    .enter()
+    .append('text')
+    .attr('class', (d) => `timeline-label ${d.project.status}`)
+    .attr('x', -12)
+    .attr('y', (d, i) => i * rowHeight + rowHeight / 2)
+    .attr('dy', '0.35em')
+    .attr('text-anchor', 'end')
+    .attr('tabindex', 0)
+    .attr('role', 'button')
+    .text((d) => d.project.name)
+    .on('click', (event, d) => onSelect(d.project))
+    .on('keydown', (event, d) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        onSelect(d.project);
+      }
+    });
+
+  const axisGroup = root.append('g')
+    .attr('class', 'timeline-axis')
+    .attr('transform', 'translate(0, -8)');
+
+  const plot = root.append('g')
+    .attr('clip-path', `url(#${clipId})`);
+
+  const rowGroups = plot.selectAll('.timeline-row')
+    .data(rows)
+    .enter()
+    .append('g')
+    .attr('class', 'timeline-row')
+    .attr('transform', (d, i) => `translate(0, ${i * rowHeight})`);
+
+  const bands = rowGroups.selectAll('.timeline-target')
+    .data((d) => d.segments.filter((segment) => segment.target))
+    .enter()
+    .append('rect')
+    .attr('class', 'timeline-target')
+    .attr('y', (rowHeight - bandHeight) / 2)
+    .attr('height', bandHeight)
+    .attr('rx', 3);
+
+  bands.append('title')
+    .text((d) => `${d.title} target: ${d.target.label}`);
+
+  const segments = rowGroups.selectAll('.timeline-segment')
+    .data((d) => d.segments.map((segment) => ({ ...segment, project: d.project })))
+    .enter()
+    .append('rect')
+    .attr('class', (d) => `timeline-segment ${d.project.status}${d.current ? ' current' : ''}${d.overdue ? ' overdue' : ''}`)
+    .attr('y', (rowHeight - barHeight) / 2)
+    .attr('height', barHeight)
+    .on('click', (event, d) => onSelect(d.project));
+
+  segments.append('title')
+    .text((d) => `${d.project.name}: ${d.title} (${d3.timeFormat('%b %-d, %Y')(d.start)} – ${d.current ? 'today' : d3.timeFormat('%b %-d, %Y')(d.end)})`);
+
+  const todayLine = plot.append('line')
+    .attr('class', 'timeline-today')
+    .attr('y1', -margin.top / 2)
+    .attr('y2', innerHeight);
+
+  const todayLabel = root.append('text')
+    .attr('class', 'timeline-today-label')
+    .attr('y', innerHeight + 16)
+    .attr('text-anchor', 'middle')
+    .text('Today');
+
+  // Position everything for the current (possibly zoomed) scale
+  const render = (scale) => {
+    axisGroup.call(d3.axisTop(scale).ticks(Math.max(2, Math.floor(innerWidth / 110))));
+    bands
+      .attr('x', (d) => scale(d.target.start))
+      .attr('width', (d) => Math.max(1, scale(d.target.end) - scale(d.target.start)));
+    segments
+      .attr('x', (d) => scale(d.start))
+      .attr('width', (d) => Math.max(2, scale(d.end) - scale(d.start)));
+    const todayX = scale(now);
+    todayLine.attr('x1', todayX).attr('x2', todayX);
+    todayLabel
+      .attr('x', todayX)
+      .attr('visibility', todayX < 0 || todayX > innerWidth ? 'hidden' : 'visible');
+  };
+
+  // Horizontal zoom and pan over the time axis. The zoom works in svg
+  // coordinates, where the plot starts after the label margin, so it centres
+  // on the pointer; the result is shifted back into the plot's coordinates.
+  const xView = x.copy().range([margin.left, margin.left + innerWidth]);
+  const zoom = d3.zoom()
+    .scaleExtent([0.5, 24])
+    .extent([[margin.left, margin.top], [margin.left + innerWidth, margin.top + innerHeight]])
+    .translateExtent([
+      [margin.left - innerWidth, margin.top],
+      [margin.left + 2 * innerWidth, margin.top + innerHeight],
+    ])
+    // One finger scrolls the page, as on the flowchart; two fingers pan and pinch
+    .filter((event) => !event.button && (event.type !== 'wheel' || event.ctrlKey || event.metaKey)
+      && (!event.touches || event.touches.length > 1))
+    .on('zoom', (event) => render(event.transform.rescaleX(xView).range([0, innerWidth])));
+
+  svg.call(zoom);
+
+  render(x);
+
+  // Zoom controls
+  const controls = document.createElement('div');
+  controls.className = 'co-innovation-timeline-controls';
+  controls.innerHTML = `
+    <button type="button" data-zoom="in" aria-label="Zoom in">+</button>
+    <button type="button" data-zoom="out" aria-label="Zoom out">−</button>
+    <button type="button" data-zoom="today">Today</button>
+    <button type="button" data-zoom="reset">Reset</button>
+    <span class="timeline-hint">Drag to pan, Ctrl + scroll to zoom</span>
+  `;
+  controls.querySelectorAll('button').forEach((button) => {
+    button.addEventListener('click', () => {
+      const action = button.dataset.zoom;
+      const transition = svg.transition().duration(300);
+      if (action === 'in') zoom.scaleBy(transition, 1.5);
+      if (action === 'out') zoom.scaleBy(transition, 1 / 1.5);
+      if (action === 'reset') zoom.transform(transition, d3.zoomIdentity);
+      if (action === 'today') zoom.translateTo(transition, xView(now), margin.top + innerHeight / 2);
+    });
+  });
+
+  const legend = document.createElement('div');
+  legend.className = 'co-innovation-timeline-legend';
+  legend.innerHTML = `
+    <span class="legend-item"><span class="legend-swatch on-track"></span>On-Track</span>
+    <span class="legend-item"><span class="legend-swatch blocked"></span>Blocked</span>
+    <span class="legend-item"><span class="legend-swatch target"></span>Stage target duration</span>
+    <span class="legend-item"><span class="legend-swatch today"></span>Today</span>
+  `;
+
+  container.prepend(controls);
+  container.append(legend);
+}
@@ -0,0 +1,319 @@
+/**
+ * Schema validation for the co-innovation process and projects sheets.
+ * Works on the raw sheet rows so problems the field mapping would hide
+ * (unknown ids, non-numeric progress, ...) are still visible.
+ */
+
+export const STEP_TYPES = ['step', 'gateway'];
+export const PROJECT_STATUSES = ['on-track', 'blocked'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DURATION_PATTERN = /\d+(?:\.\d+)?\s*(?:(?:-|–|to)\s*\d+(?:\.\d+)?)?\s*(?:day|week|month|quarter)s?\b/i;
+
+/**
+ * Check whether a sheet cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True if empty
+ */
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Split a pipe-delimited cell
+ * @param {*} value - Cell value
+ * @returns {Array} Trimmed, non-empty items
+ */
+function splitList(value) {
+  if (isBlank(value)) return [];
+  return String(value).split('|').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read a sheet date, as YYYY-MM-DD or a spreadsheet serial
+ * @param {string} value - Trimmed cell value
+ * @returns {number} Time in milliseconds, NaN if it is not a date
+ */
+function parseSheetDate(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) return (parseFloat(value) - 25569) * 24 * 60 * 60 * 1000;
+  return DATE_PATTERN.test(value) ? new Date(value).getTime() : NaN;
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Suggest the closest known value for a typo
+ * @param {string} value - The unknown value
+ * @param {Array} known - Known values
+ * @returns {string} A "did you mean" hint, empty if nothing is close
+ */
+function suggest(value, known) {
+  const normalize = (str) => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const exact = known.find((candidate) => normalize(candidate) === normalize(value));
+  const close = exact || known.find((candidate) => distance(String(value), candidate) <= 2);
+  return close ? ` Did you mean "${close}"?` : '';
+}
+
+/**
+ * Create an issue collector for one sheet
+ * @param {Array} issues - List to add issues to
+ * @param {string} sheet - Sheet name
+ * @returns {Function} Reporter taking (level, rowIndex, field, message)
+ */
+function reporter(issues, sheet) {
+  return (level, rowIndex, field, message) => {
+    issues.push({
+      level,
+      sheet,
+      // Row 1 of the sheet is the header
+      row: rowIndex + 2,
+      field,
+      message,
+    });
+  };
+}
+
+/**
+ * Validate the process sheet rows
+ * @param {Array} rows - Raw process rows
+ * @returns {Array} Issues found
+ */
+export function validateProcess(rows) {
+  const issues = [];
+  const report = reporter(issues, 'process');
+  const ids = rows.map((row) => String(row.id || '').trim());
+  const seen = new Set();
+
+  rows.forEach((row, i) => {
+    ['id', 'title', 'type'].forEach((field) => {
+      if (isBlank(row[field])) report('error', i, field, `Missing required field "${field}".`);
+    });
+    if (isBlank(row.description)) report('warning', i, 'description', 'Missing description.');
+
+    const id = ids[i];
+    if (id && !ID_PATTERN.test(id)) {
+      report('error', i, 'id', `Step id "${id}" must be lowercase letters, digits and hyphens.`);
+    }
+    if (id && seen.has(id)) report('error', i, 'id', `Duplicate step id "${id}".`);
+    seen.add(id);
+
+    if (!isBlank(row.type) && !STEP_TYPES.includes(row.type)) {
+      report('error', i, 'type', `Unknown type "${row.type}", expected one of ${STEP_TYPES.join(', ')}.${suggest(row.type, STEP_TYPES)}`);
+    }
+
+    const nextSteps = splitList(row.nextSteps);
+    nextSteps.forEach((nextId) => {
+      if (!ids.includes(nextId)) {
+        report('error', i, 'nextSteps', `Next step "${nextId}" does not exist.${suggest(nextId, ids)}`);
+      }
+    });
+
+    if (row.type === 'gateway') {
+      if (splitList(row.criteria).length === 0) {
+        report('warning', i, 'criteria', 'Gateway has no decision criteria.');
+      }
+      if (nextSteps.length > 1 && splitList(row.outcomes).length < nextSteps.length) {
+        report('warning', i, 'outcomes', 'Gateway has fewer outcomes than next steps, so some branches have no label.');
+      }
+    } else if (!isBlank(row.duration) && !DURATION_PATTERN.test(row.duration)
+      && String(row.duration).trim().toLowerCase() !== 'ongoing') {
+      report('warning', i, 'duration', `Duration "${row.duration}" cannot be parsed, so overdue projects will not be flagged.`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate the projects sheet rows
+ * @param {Array} rows - Raw project rows
+ * @param {Array} stepIds - Known step IDs
+ * @returns {Array} Issues found
+ */
+export function validateProjects(rows, stepIds) {
+  const issues = [];
+  const report = reporter(issues, 'projects');
+  const seen = new Set();
+
+  rows.forEach((row, i) => {
+    ['id', 'name', 'currentStage', 'status'].forEach((field) => {
+      if (isBlank(row[field])) report('error', i, field, `Missing required field "${field}".`);
+    });
+
+    const id = String(row.id || '').trim();
+    if (id && !ID_PATTERN.test(id)) {
+      report('error', i, 'id', `Project id "${id}" must be lowercase letters, digits and hyphens.`);
+    }
+    if (id && seen.has(id)) report('error', i, 'id', `Duplicate project id "${id}".`);
+    seen.add(id);
+
+    if (!isBlank(row.status) && !PROJECT_STATUSES.includes(row.status)) {
+      report('error', i, 'status', `Unknown status "${row.status}", expected one of ${PROJECT_STATUSES.join(', ')}.${suggest(row.status, PROJECT_STATUSES)}`);
+    }
+    if (row.status === 'blocked' && isBlank(row.blockingReason)) {
+      report('warning', i, 'blockingReason', 'Blocked project has no blocking reason.');
+    }
+
+    const currentStage = String(row.currentStage || '').trim();
+    if (currentStage && !stepIds.includes(currentStage)) {
+      report('error', i, 'currentStage', `Stage "${currentStage}" does not exist, so the project is missing from every count.${suggest(currentStage, stepIds)}`);
+    }
+
+    if (isBlank(row.progress)) {
+      report('warning', i, 'progress', 'Missing progress, shown as 0%.');
+    } else if (!/^\s*-?\d+(\.\d+)?\s*%?\s*$/.test(String(row.progress))) {
+      report('error', i, 'progress', `Progress "${row.progress}" is not a number, shown as 0%.`);
+    } else {
+      const progress = parseFloat(row.progress);
+      if (progress < 0 || progress > 100) {
+        report('error', i, 'progress', `Progress ${progress} is outside 0-100.`);
+      }
+    }
+
+    // Entries with a valid date, in the date order the block shows them in
+    const dated = [];
+    splitList(row.stageHistory).forEach((entry) => {
+      const [stage, date] = entry.split(':').map((part) => (part || '').trim());
+      if (!date) {
+        report('error', i, 'stageHistory', `History entry "${entry}" must be "stage:YYYY-MM-DD".`);
+        return;
+      }
+      if (!stepIds.includes(stage)) {
+        report('error', i, 'stageHistory', `History stage "${stage}" does not exist.${suggest(stage, stepIds)}`);
+      }
+      const time = parseSheetDate(date);
+      if (Number.isNaN(time)) {
+        report('error', i, 'stageHistory', `History date "${date}" is not a valid YYYY-MM-DD date.`);
+      } else {
+        dated.push({ stage, time });
+      }
+    });
+    if (dated.length > 0 && currentStage) {
+      const lastStage = dated.sort((a, b) => a.time - b.time)[dated.length - 1].stage;
+      if (lastStage !== currentStage) {
+        report('warning', i, 'stageHistory', `Latest history entry is "${lastStage}" but the current stage is "${currentStage}".`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate the history sheet rows (one stage entry per row)
+ * @param {Array} rows - Raw history rows
+ * @param {Array} projectIds - Known project IDs
+ * @param {Array} stepIds - Known step IDs
+ * @returns {Array} Issues found
+ */
+export function validateHistory(rows, projectIds, stepIds) {
+  const issues = [];
+  const report = reporter(issues, 'history');
+
+  rows.forEach((row, i) => {
+    ['project', 'stage', 'date'].forEach((field) => {
+      if (isBlank(row[field])) report('error', i, field, `Missing required field "${field}".`);
+    });
+
+    const project = String(row.project || '').trim();
+    if (project && !projectIds.includes(project)) {
+      report('error', i, 'project', `Project "${project}" does not exist.${suggest(project, projectIds)}`);
+    }
+    const stage = String(row.stage || '').trim();
+    if (stage && !stepIds.includes(stage)) {
+      report('error', i, 'stage', `Stage "${stage}" does not exist.${suggest(stage, stepIds)}`);
+    }
+    const date = String(row.date || '').trim();
+    const serial = /^\d+(\.\d+)?$/.test(date);
+    if (date && !serial && (!DATE_PATTERN.test(date) || Number.isNaN(new Date(date).getTime()))) {
+      report('error', i, 'date', `Date "${date}" is not a valid YYYY-MM-DD date.`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate the process, projects and (optional) history sheets
+ * @param {Array} processRows - Raw process rows
+ * @param {Array} projectRows - Raw project rows
+ * @param {Array} [historyRows] - Raw history rows
+ * @returns {Array} Issues found, errors first
+ */
+export function validateData(processRows, projectRows, historyRows = []) {
+  const stepIds = processRows.map((row) => String(row.id || '').trim()).filter(Boolean);
+  const projectIds = projectRows.map((row) => String(row.id || '').trim()).filter(Boolean);
+  const issues = [
+    ...validateProcess(processRows),
+    ...validateProjects(projectRows, stepIds),
+    ...validateHistory(historyRows, projectIds, stepIds),
+  ];
+  const rank = (issue) => (issue.level === 'error' ? 0 : 1);
+  return issues.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Create the collapsible diagnostics banner for authors
+ * @param {Array} issues - Issues from validateData
+ * @returns {Element} The banner element
+ */
+export function createDiagnostics(issues) {
+  const errors = issues.filter((issue) => issue.level === 'error').length;
+  const warnings = issues.length - errors;
+
+  const banner = document.createElement('details');
+  banner.className = `co-innovation-diagnostics${errors > 0 ? ' has-errors' : ''}`;
+
+  const summary = document.createElement('summary');
+  const counts = [
+    errors > 0 ? `${errors} error${errors !== 1 ? 's' : ''}` : '',
+    warnings > 0 ? `${warnings} warning${warnings !== 1 ? 's' : ''}` : '',
+  ].filter(Boolean).join(', ');
+  summary.textContent = `Data check: ${counts} in the co-innovation sheets`;
+
+  const note = document.createElement('p');
+  note.className = 'diagnostics-note';
+  note.textContent = 'Only shown in preview. Fix these in the sheets and republish.';
+
+  const list = document.createElement('ul');
+  list.className = 'diagnostics-list';
+  issues.forEach((issue) => {
+    const item = document.createElement('li');
+    item.className = `diagnostics-item ${issue.level}`;
+
+    const location = document.createElement('span');
+    location.className = 'diagnostics-location';
+    location.textContent = `${issue.sheet} row ${issue.row} · ${issue.field}`;
+
+    const message = document.createElement('span');
+    message.className = 'diagnostics-message';
+    message.textContent = issue.message;
+
+    item.append(location, message);
+    list.append(item);
+  });
+
+  banner.append(summary, note, list);
+  return banner;
+}
@@ -0,0 +1,15 @@
+/**
+ * D3 subset vendored for the co-innovation block.
+ * Only the modules its charts use, bundled to
+ * blocks/co-innovation/vendor/d3.min.js by `npm run build:d3`.
+ */
+
+// Adds selection.transition() and selection.interrupt()
+import 'd3-transition';
+
+export { extent } from 'd3-array';
+export { axisTop } from 'd3-axis';
+export { scaleTime } from 'd3-scale';
+export { select } from 'd3-selection';
+export { timeFormat } from 'd3-time-format';
+export { zoom, zoomIdentity } from 'd3-zoom';
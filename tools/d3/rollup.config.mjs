@@ -0,0 +1,36 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+import resolve from '@rollup/plugin-node-resolve';
+import terser from '@rollup/plugin-terser';
+
+const BUNDLE = 'blocks/co-innovation/vendor/d3.min.js';
+const BLOCK = 'blocks/co-innovation/co-innovation.js';
+
+/**
+ * Write the bundle's subresource integrity hash into the block,
+ * so the block only runs the bundle it was built with
+ * @returns {Object} Rollup plugin
+ */
+function integrity() {
+  return {
+    name: 'integrity',
+    writeBundle() {
+      const hash = `sha384-${createHash('sha384').update(readFileSync(BUNDLE)).digest('base64')}`;
+      const source = readFileSync(BLOCK, 'utf8');
+      writeFileSync(BLOCK, source.replace(/const D3_INTEGRITY = '[^']*';/, `const D3_INTEGRITY = '${hash}';`));
+      // eslint-disable-next-line no-console
+      console.log(`${BUNDLE} ${hash}`);
+    },
+  };
+}
+
+export default {
+  input: 'tools/d3/index.js',
+  output: {
+    file: BUNDLE,
+    format: 'iife',
+    name: 'd3',
+    banner: '/*! D3 subset for the co-innovation block | https://d3js.org | Copyright 2010-2023 Mike Bostock | ISC License */',
+  },
+  plugins: [resolve(), terser(), integrity()],
+};